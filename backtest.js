@@ -0,0 +1,262 @@
+/*
+   Backtests the simulation against past state championships. Each archived field (the same
+   TSV format as ./data) is simulated again under every win probability model, and the odds
+   are scored against the actual final standings: Brier score, log-loss and calibration
+   buckets for each medal and for reaching each round (finishing in the top 16, top 8, ...).
+   A model that gave every player the same chance is scored alongside, for reference.
+
+   The archive is a JSON file listing past events, with paths relative to the archive file:
+      { "events": [ { "name": "2024 open", "field": "2024-open.tsv",
+                      "standings": "2024-open-standings.tsv", "bracket": "bracket-24.json" } ] }
+   A standings TSV has name and place columns, e.g. 5 for each player who lost in the quarterfinals.
+   The bracket is optional, as in state.js.
+
+   usage: node backtest.js ./archive/archive.json
+          node backtest.js ./archive/archive.json --models elo-sampled,glicko --iterations 200000
+   help: node backtest.js --help
+*/
+
+const fs = require('fs')
+const path = require('path')
+const { parse } = require('csv-parse/sync')
+const { program } = require('commander')
+const { placementBands } = require('./bracket')
+const { checkFieldFile, prepareBracket, readField, runChampionship } = require('./championship')
+const { MODEL_NAMES } = require('./models')
+const { parseSeed, parseWorkers } = require('./simulate')
+
+const RESULTS_DIR = './results'
+const EQUAL_ODDS = 'equal odds'
+
+// Probabilities of exactly 0 or 1 from a finite number of simulations are moved this far
+// inside, so one surprise doesn't make the log-loss infinite.
+
+const EPSILON = 1e-4
+
+program
+   .argument('<archive>', 'archive JSON listing past fields and their final standings')
+   .option('--models <names>', `comma separated models to compare (${MODEL_NAMES.join(', ')})`, MODEL_NAMES.join(','))
+   .option('--iterations <number>', 'simulations per event and model', '100000')
+   .option('--seed <number>', 'random seed', '42')
+   .option('--workers <number>', 'worker threads to spread simulations over', '1')
+   .option('--buckets <number>', 'calibration buckets', '10')
+   .parse()
+
+const options = program.opts()
+
+main()
+
+async function main() {
+   const archivePath = program.args[0]
+   const models = options.models.split(',').map(m => m.trim())
+   const unknown = models.filter(m => !MODEL_NAMES.includes(m))
+   if (unknown.length > 0) {
+      console.error(`Error: Unknown model: ${unknown.join(', ')} (choose from ${MODEL_NAMES.join(', ')})`)
+      process.exit(1)
+   }
+   var seed
+   var workers
+   try {
+      seed = parseSeed(options.seed)
+      workers = parseWorkers(options.workers)
+   } catch (err) {
+      console.error(`Error: ${err.message}`)
+      process.exit(1)
+   }
+
+   var events
+   try {
+      events = readArchive(archivePath)
+   } catch (err) {
+      console.error(`Error: Invalid archive: ${err.message}`)
+      process.exit(1)
+   }
+
+   // Every prediction, as { model, event, player, outcome, p, actual }.
+
+   const predictions = []
+   for (const event of events) {
+      var bracket
+      try {
+         bracket = prepareBracket(event.field.length, event.bracket)
+      } catch (err) {
+         console.error(`Error: ${event.name}: ${err.message}`)
+         process.exit(2)
+      }
+      for (const model of models) {
+         console.error(`Simulating ${event.name} with ${model}...`)
+         const { results } = await runChampionship({ field: event.field, bracket }, {
+            iterations: parseInt(options.iterations, 10),
+            seed,
+            model,
+            workers,
+            source: `backtest:${event.name}`,
+            bracketFile: event.bracket
+         })
+         predictions.push(...predict(event, model, results))
+      }
+      predictions.push(...predictEqualOdds(event, bracket.structure))
+   }
+
+   const buckets = parseInt(options.buckets, 10)
+   const names = models.concat([EQUAL_ODDS])
+   const outcomes = [...new Set(predictions.map(p => p.outcome))]
+   const scores = []
+   const calibration = []
+   for (const model of names) {
+      for (const outcome of ['all'].concat(outcomes)) {
+         const list = predictions.filter(p => p.model === model && (outcome === 'all' || p.outcome === outcome))
+         scores.push({ model, outcome, ...score(list) })
+         calibration.push(...calibrate(list, buckets).map(b => ({ model, outcome, ...b })))
+      }
+   }
+
+   printScores(scores, names, ['all'].concat(outcomes))
+
+   if (!fs.existsSync(RESULTS_DIR)) {
+      fs.mkdirSync(RESULTS_DIR, { recursive: true })
+   }
+   const scoresTsv = [['model', 'outcome', 'predictions', 'brier', 'log loss'].join('\t')]
+      .concat(scores.map(s => [s.model, s.outcome, s.count, s.brier, s.logLoss].join('\t')))
+   const calibrationTsv = [['model', 'outcome', 'bucket', 'predictions', 'predicted', 'observed'].join('\t')]
+      .concat(calibration.map(b => [b.model, b.outcome, b.bucket, b.count, b.predicted, b.observed].join('\t')))
+   fs.writeFileSync(`${RESULTS_DIR}/backtest.tsv`, scoresTsv.join('\n') + '\n')
+   fs.writeFileSync(`${RESULTS_DIR}/backtest-calibration.tsv`, calibrationTsv.join('\n') + '\n')
+   fs.writeFileSync(`${RESULTS_DIR}/backtest.json`, JSON.stringify({
+      generatedAt: new Date().toISOString(),
+      archive: archivePath,
+      events: events.map(e => e.name),
+      iterations: parseInt(options.iterations, 10),
+      scores,
+      calibration,
+      predictions
+   }, null, 2) + '\n')
+   console.error(`Backtest written to ${RESULTS_DIR}/backtest.tsv, ${RESULTS_DIR}/backtest-calibration.tsv and ${RESULTS_DIR}/backtest.json`)
+}
+
+// Read the archive and every field and standings file it lists.
+
+function readArchive(archivePath) {
+   const archive = JSON.parse(fs.readFileSync(archivePath, 'utf8'))
+   if (!Array.isArray(archive.events) || archive.events.length === 0) {
+      throw new Error('archive must list events')
+   }
+   const dir = path.dirname(archivePath)
+   return archive.events.map((e, i) => {
+      const name = e.name || `event ${i + 1}`
+      if (!e.field || !e.standings) {
+         throw new Error(`${name} needs a field and standings`)
+      }
+      const problems = checkFieldFile(path.join(dir, e.field))
+      if (problems.length > 0) {
+         throw new Error(`${name} field ${e.field}: ${problems.join('; ')}`)
+      }
+      const field = readField(path.join(dir, e.field)).sort((a, b) => a.seed - b.seed)
+      const standings = readStandings(path.join(dir, e.standings))
+      const missing = field.filter(p => !(p.name in standings)).map(p => p.name)
+      if (missing.length > 0) {
+         throw new Error(`${name} standings have no place for ${missing.join(', ')}`)
+      }
+      return { name, field, standings, bracket: e.bracket ? path.join(dir, e.bracket) : null }
+   })
+}
+
+// Final place by player name, from a TSV with name and place columns.
+
+function readStandings(filename) {
+   const records = parse(fs.readFileSync(filename, 'utf8'), {
+      columns: true,
+      delimiter: '\t',
+      trim: true
+   })
+   return Object.fromEntries(records.map(record => [record.name, parseInt(record.place, 10)]))
+}
+
+// The outcomes scored for a bracket: each medal, and finishing in each placement band or
+// better, i.e. reaching each round, from the top 4 down to the last band knocked out.
+
+function outcomesFor(bands) {
+   const outcomes = []
+   for (const [medal, place] of [['gold', 1], ['silver', 2], ['bronze', 3]]) {
+      if (bands.some(b => b.first === place && b.last === place)) {
+         outcomes.push({ outcome: medal, happened: actual => actual === place, p: dist => dist(place, place) })
+      }
+   }
+   for (const band of bands.slice(0, -1)) {
+      if (band.last >= 4) {
+         outcomes.push({ outcome: `top ${band.last}`, happened: actual => actual <= band.last, p: dist => dist(1, band.last) })
+      }
+   }
+   return outcomes
+}
+
+function predict(event, model, results) {
+   const outcomes = outcomesFor(results.placementBands)
+   const predictions = []
+   for (const r of results.results) {
+      const dist = (first, last) => results.placementBands
+         .filter(b => b.first >= first && b.last <= last)
+         .reduce((total, b) => total + r.placementDistribution[b.label], 0)
+      for (const o of outcomes) {
+         predictions.push({ model, event: event.name, player: r.name, outcome: o.outcome, p: o.p(dist), actual: o.happened(event.standings[r.name]) ? 1 : 0 })
+      }
+   }
+   return predictions
+}
+
+// The reference: every player is equally likely to finish in each place.
+
+function predictEqualOdds(event, structure) {
+   const outcomes = outcomesFor(placementBands(structure))
+   const predictions = []
+   for (const player of event.field) {
+      const dist = (first, last) => (last - first + 1) / structure.fieldSize
+      for (const o of outcomes) {
+         predictions.push({ model: EQUAL_ODDS, event: event.name, player: player.name, outcome: o.outcome, p: o.p(dist), actual: o.happened(event.standings[player.name]) ? 1 : 0 })
+      }
+   }
+   return predictions
+}
+
+function score(list) {
+   var brier = 0
+   var logLoss = 0
+   for (const { p, actual } of list) {
+      const q = Math.min(1 - EPSILON, Math.max(EPSILON, p))
+      brier += (p - actual) * (p - actual)
+      logLoss -= actual ? Math.log(q) : Math.log(1 - q)
+   }
+   return { count: list.length, brier: brier / list.length, logLoss: logLoss / list.length }
+}
+
+// Group predictions into equal-width buckets of predicted probability, and compare the
+// average prediction in each with how often the outcome happened.
+
+function calibrate(list, buckets) {
+   const groups = Array.from({ length: buckets }, () => [])
+   for (const prediction of list) {
+      groups[Math.min(buckets - 1, Math.floor(prediction.p * buckets))].push(prediction)
+   }
+   return groups.map((group, i) => ({
+      bucket: `${(i / buckets).toFixed(2)}-${((i + 1) / buckets).toFixed(2)}`,
+      count: group.length,
+      predicted: group.length ? group.reduce((t, g) => t + g.p, 0) / group.length : null,
+      observed: group.length ? group.reduce((t, g) => t + g.actual, 0) / group.length : null
+   })).filter(b => b.count > 0)
+}
+
+function printScores(scores, models, outcomes) {
+   const width = Math.max(...models.map(m => m.length), 12)
+   console.log(['outcome'.padEnd(10)].concat(models.map(m => m.padStart(width))).join('  '))
+   for (const [label, key] of [['Brier', 'brier'], ['log loss', 'logLoss']]) {
+      console.log(`\n${label}`)
+      for (const outcome of outcomes) {
+         const row = models.map(model => {
+            const s = scores.find(x => x.model === model && x.outcome === outcome)
+            return (s && s.count ? s[key].toFixed(4) : '').padStart(width)
+         })
+         console.log([outcome.padEnd(10)].concat(row).join('  '))
+      }
+   }
+   console.log('\nLower is better. Calibration buckets are in results/backtest-calibration.tsv.')
+}
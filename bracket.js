@@ -0,0 +1,654 @@
+// Bracket utility functions
+//
+// A bracket is an object of match nodes keyed by name (w1, w2, ...). Each match has a
+// round, two players (seeds, 0 for a slot filled by an earlier match) and feeds, which
+// names the match and slot that receives the winner. The champion is fed into a single
+// node marked final: true. A match that has already been played records its winning seed
+// in winner, and a match in progress records its game score, in players order, in score.
+//
+// A match may also send its loser on with loserFeeds, as in double elimination, or award
+// places to its winner and loser, e.g. "places": [3, 4] for a third place match. A grand
+// final marked reset: true is played again if the player in the second slot wins it.
+//
+// A group node ("group": true) plays several players at once on points. Its advance list
+// gives the [match, slot] each finishing position moves on to, and it records a completed
+// group's finishing order in result. Players who do not move on are knocked out, unless
+// places says where they finish.
+//
+// Match formats (see formats.js) can be set on a match with format, or for the whole bracket
+// with a top-level formats object:
+//    "formats": { "default": 7, "rounds": { "1": 5, "2": 5 }, "thirdPlace": 3 }
+// and a group format for groups.
+
+const fs = require('fs')
+const { DEFAULT_FORMAT, GROUP_FORMAT, THIRD_PLACE_FORMAT, gamesPlayed, matchWinner, normalizeFormat, scoreFromGames } = require('./formats')
+
+/**
+ * Compare match keys so that w2 sorts before w10
+ * @param {string} a - Match key
+ * @param {string} b - Match key
+ * @returns {number} Sort order
+ */
+function compareKeys(a, b) {
+   const na = parseInt(a.replace(/^\D+/, ''), 10)
+   const nb = parseInt(b.replace(/^\D+/, ''), 10)
+   if (!isNaN(na) && !isNaN(nb) && na !== nb) {
+      return na - nb
+   }
+   return a.localeCompare(b)
+}
+
+/**
+ * Where each player a node sends on ends up, by finishing position
+ * @param {Object} node - Match or group node
+ * @returns {Array<Array>} [key, slot] feed for each finishing position, undefined where
+ *    the player does not move on to another node
+ */
+function nodeFeeds(node) {
+   if (node.group) {
+      return node.advance || []
+   }
+   return [node.feeds, node.loserFeeds]
+}
+
+/**
+ * Check a bracket's schema and graph, listing every problem rather than stopping at the
+ * first: nodes without a round or two players, feeds to matches or slots that don't exist,
+ * slots filled twice or never filled, seeds listed twice or missing, and a missing final
+ * @param {Object} bracket - Bracket template keyed by node name
+ * @returns {Array<string>} Problems, empty when the bracket is fine
+ */
+function checkBracket(bracket) {
+   if (!bracket || typeof bracket !== 'object' || Array.isArray(bracket)) {
+      return ['Bracket must be an object of matches keyed by name']
+   }
+   const problems = []
+   const keys = Object.keys(bracket).filter(k => k !== 'formats')
+   const nodes = keys.filter(k => bracket[k] && typeof bracket[k] === 'object' && Array.isArray(bracket[k].players))
+   for (const k of keys.filter(k => !nodes.includes(k))) {
+      problems.push(`${k} must be a match with a players list`)
+   }
+
+   const finals = nodes.filter(k => bracket[k].final)
+   if (finals.length === 0) {
+      problems.push('No final node (a node marked "final": true that receives the champion)')
+   } else if (finals.length > 1) {
+      problems.push(`Only one node may be the final, found ${finals.join(', ')}`)
+   }
+
+   // Every slot a feed fills, by "key:slot", with the nodes that fill it.
+
+   const filledBy = {}
+   for (const k of nodes) {
+      const node = bracket[k]
+      if (!Number.isInteger(node.round) || node.round < 1) {
+         problems.push(`${k} round must be a positive whole number, not: ${JSON.stringify(node.round)}`)
+      }
+      if (!node.final && (node.group ? node.players.length < 2 : node.players.length !== 2)) {
+         problems.push(`${k} must have two players, or a group at least two, found ${node.players.length}`)
+      }
+      node.players.forEach((s, i) => {
+         if (!Number.isInteger(s) || s < 0) {
+            problems.push(`${k} slot ${i} must be a seed, or 0 for a player from an earlier match, not: ${JSON.stringify(s)}`)
+         }
+      })
+      if (node.final) {
+         continue
+      }
+      const feeds = node.group ? (node.advance || []) : [node.feeds, node.loserFeeds]
+      const names = node.group ? feeds.map((_, i) => `advance ${i}`) : ['feeds', 'loserFeeds']
+      feeds.forEach((feed, i) => {
+         if (feed === undefined || feed === null) {
+            return
+         }
+         if (!Array.isArray(feed) || feed.length !== 2) {
+            problems.push(`${k} ${names[i]} must be [match, slot], not: ${JSON.stringify(feed)}`)
+         } else if (!nodes.includes(feed[0])) {
+            problems.push(`${k} ${names[i]} names unknown match ${feed[0]}`)
+         } else if (!Number.isInteger(feed[1]) || feed[1] < 0 || feed[1] >= bracket[feed[0]].players.length) {
+            problems.push(`${k} ${names[i]} names slot ${feed[1]} of ${feed[0]}, which has ${bracket[feed[0]].players.length}`)
+         } else if (feed[0] === k) {
+            problems.push(`${k} ${names[i]} feeds itself`)
+         } else {
+            const slot = `${feed[0]}:${feed[1]}`
+            filledBy[slot] = (filledBy[slot] || []).concat([k])
+         }
+      })
+      if (!node.group && !node.feeds && !node.places) {
+         problems.push(`${k} must feed another match or award places`)
+      }
+   }
+
+   // Each slot is filled by a seed or by one earlier match, except that a seed may already
+   // have moved on from a match with a recorded winner. A slot never filled leaves its match
+   // unreachable.
+
+   const seedSlots = {}
+   for (const k of nodes) {
+      bracket[k].players.forEach((s, i) => {
+         const feeders = filledBy[`${k}:${i}`] || []
+         if (feeders.length > 1) {
+            problems.push(`${k} slot ${i} is filled twice, by ${feeders.join(' and ')}`)
+         }
+         if (s > 0 && feeders.length > 0) {
+            if (!feeders.every(f => bracket[f].winner || bracket[f].result)) {
+               problems.push(`${k} slot ${i} holds seed ${s} but is also filled by ${feeders.join(' and ')}`)
+            }
+         } else if (s > 0) {
+            seedSlots[s] = (seedSlots[s] || []).concat([`${k} slot ${i}`])
+         } else if (feeders.length === 0 && !bracket[k].final) {
+            problems.push(`${k} slot ${i} is never filled, so ${k} can never be played`)
+         }
+      })
+      if (bracket[k].final && finals.length === 1) {
+         const feeders = filledBy[`${k}:0`] || []
+         if (feeders.length === 0) {
+            problems.push(`No match feeds the final ${k}`)
+         }
+      }
+   }
+
+   for (const s in seedSlots) {
+      if (seedSlots[s].length > 1) {
+         problems.push(`Seed ${s} starts in more than one slot: ${seedSlots[s].join(', ')}`)
+      }
+   }
+   const seeds = Object.keys(seedSlots).map(s => parseInt(s, 10))
+   const largest = Math.max(0, ...seeds)
+   const missing = []
+   for (let s = 1; s <= largest; s++) {
+      if (!(s in seedSlots)) {
+         missing.push(s)
+      }
+   }
+   if (missing.length > 0) {
+      problems.push(`Seeds must run from 1 to ${largest}, missing: ${missing.join(', ')}`)
+   }
+   return problems
+}
+
+/**
+ * Derive everything the simulation needs from the bracket graph
+ * @param {Object} bracket - Bracket template keyed by node name
+ * @returns {Object} matchKeys (every match and group, in playing order), championKey,
+ *    finalKey, semifinalKeys, consolationKeys (semifinals whose losers play for third),
+ *    rounds, fieldSize, eliminationPlace (tied place for a player knocked out, by round),
+ *    outcomes (by key, what happens to each finishing position), formats (by key),
+ *    defaultFormat and thirdPlaceFormat
+ */
+function analyzeBracket(bracket) {
+   const keys = Object.keys(bracket).filter(k => k !== 'formats')
+   const championKeys = keys.filter(k => bracket[k].final)
+   if (championKeys.length !== 1) {
+      throw new Error(`Bracket must have exactly one final node, found ${championKeys.length}`)
+   }
+   const championKey = championKeys[0]
+   const matches = keys.filter(k => !bracket[k].final)
+
+   // Count how many players earlier nodes send to each node, then play nodes in an order
+   // where every node comes after the nodes that feed it (lowest round, then key, first).
+
+   const pending = {}
+   for (const k of matches) {
+      pending[k] = 0
+   }
+   for (const k of matches) {
+      const node = bracket[k]
+      if (!Array.isArray(node.players) || node.players.length < 2 || (!node.group && node.players.length !== 2)) {
+         throw new Error(`Match ${k} must have two players, or a group at least two`)
+      }
+      for (const feed of nodeFeeds(node)) {
+         if (!feed) {
+            continue
+         }
+         if (!(feed[0] in bracket) || feed[0] === 'formats') {
+            throw new Error(`Match ${k} feeds unknown match ${feed[0]}`)
+         }
+         if (feed[0] in pending) {
+            pending[feed[0]]++
+         }
+      }
+      if (!node.group && !node.feeds && !node.places) {
+         throw new Error(`Match ${k} must feed another match or award places`)
+      }
+   }
+
+   const matchKeys = []
+   const ready = matches.filter(k => pending[k] === 0)
+   while (ready.length > 0) {
+      ready.sort((a, b) => (bracket[a].round - bracket[b].round) || compareKeys(a, b))
+      const k = ready.shift()
+      matchKeys.push(k)
+      for (const feed of nodeFeeds(bracket[k])) {
+         if (feed && feed[0] in pending && --pending[feed[0]] === 0) {
+            ready.push(feed[0])
+         }
+      }
+   }
+   if (matchKeys.length !== matches.length) {
+      throw new Error('Bracket contains a cycle')
+   }
+
+   const feedsInto = (k, target) => nodeFeeds(bracket[k]).some(feed => feed && feed[0] === target)
+   const finalKeys = matches.filter(k => feedsInto(k, championKey))
+   if (finalKeys.length !== 1) {
+      throw new Error(`Exactly one match must feed ${championKey}, found ${finalKeys.length}`)
+   }
+   const finalKey = finalKeys[0]
+   const semifinalKeys = matches.filter(k => feedsInto(k, finalKey))
+
+   // In a plain single elimination bracket the semifinal losers play for third place.
+
+   const plain = k => !bracket[k].group && !bracket[k].loserFeeds && !bracket[k].places
+   const consolationKeys = (semifinalKeys.length === 2 && semifinalKeys.every(plain)) ? semifinalKeys : []
+
+   const seeds = new Set()
+   for (const k of matches) {
+      for (const s of bracket[k].players) {
+         if (s > 0) {
+            seeds.add(s)
+         }
+      }
+   }
+   const fieldSize = seeds.size
+
+   // Each finishing position of a node either moves on to another node (winning the round
+   // unless it is a loser feed), takes a place given by the bracket, or is knocked out. The
+   // final awards 1st, 2nd, ... in finishing order.
+
+   const outcomes = {}
+   for (const k of matches) {
+      const node = bracket[k]
+      const feeds = nodeFeeds(node)
+      outcomes[k] = node.players.map((_, i) => {
+         const feed = feeds[i]
+         const win = node.group ? (!!feed || (k === finalKey && i === 0)) : (i === 0)
+         if (feed && feed[0] === championKey) {
+            return { win, place: 1 }
+         } else if (feed) {
+            return { win, feed }
+         } else if (node.places && node.places[i]) {
+            return { win, place: node.places[i] }
+         } else if (k === finalKey) {
+            return { win, place: i + 1 }
+         } else if (consolationKeys.includes(k)) {
+            return { win, consolation: true }
+         }
+         return { win, knockedOut: true }
+      })
+   }
+
+   // Players knocked out in round r tie for the place just below everyone still alive
+   // after round r.
+
+   const rounds = Math.max(...matches.map(k => bracket[k].round))
+   const eliminationPlace = {}
+   for (let r = 1; r <= rounds; r++) {
+      var knockedOut = 0
+      for (const k of matches.filter(k => bracket[k].round <= r)) {
+         knockedOut += outcomes[k].filter(o => o.knockedOut).length
+      }
+      eliminationPlace[r] = fieldSize - knockedOut + 1
+   }
+   for (const k of matches) {
+      for (const outcome of outcomes[k]) {
+         if (outcome.knockedOut) {
+            outcome.place = eliminationPlace[bracket[k].round]
+         }
+      }
+   }
+
+   // A match's own format wins over its round's, which wins over the bracket default.
+   // Groups are scored on points.
+
+   const settings = bracket.formats || {}
+   const roundFormats = settings.rounds || {}
+   const defaultFormat = normalizeFormat(settings.default || DEFAULT_FORMAT)
+   const groupFormat = normalizeFormat(settings.group || GROUP_FORMAT)
+   const formats = {}
+   for (const k of matches) {
+      const spec = bracket[k].format || (!bracket[k].group && roundFormats[bracket[k].round])
+      formats[k] = spec ? normalizeFormat(spec) : (bracket[k].group ? groupFormat : defaultFormat)
+      if (bracket[k].group && (formats[k].type !== 'points' || formats[k].points.length < bracket[k].players.length)) {
+         throw new Error(`Group ${k} needs a points format with points for all ${bracket[k].players.length} players`)
+      }
+   }
+   const thirdPlaceFormat = normalizeFormat(settings.thirdPlace || THIRD_PLACE_FORMAT)
+
+   return {
+      matchKeys,
+      championKey,
+      finalKey,
+      semifinalKeys,
+      consolationKeys,
+      rounds,
+      fieldSize,
+      eliminationPlace,
+      outcomes,
+      formats,
+      defaultFormat,
+      thirdPlaceFormat
+   }
+}
+
+/**
+ * Finishing positions the bracket can award, with ties grouped into bands such as 5-8
+ * @param {Object} structure - Result of analyzeBracket
+ * @returns {Array<Object>} Bands as { first, last, label }, best first
+ */
+function placementBands(structure) {
+   const places = new Set()
+   for (const k in structure.outcomes) {
+      for (const outcome of structure.outcomes[k]) {
+         if (outcome.place) {
+            places.add(outcome.place)
+         }
+      }
+   }
+   if (structure.consolationKeys.length > 0) {
+      places.add(3)
+      places.add(4)
+   }
+   const sorted = [...places].sort((a, b) => a - b)
+   return sorted.map((first, i) => {
+      const last = (i + 1 < sorted.length) ? sorted[i + 1] - 1 : structure.fieldSize
+      return { first, last, label: (first === last) ? `${first}` : `${first}-${last}` }
+   })
+}
+
+/**
+ * Send each player of a decided node on to the nodes they feed
+ * @param {Object} bracket - Bracket, updated in place
+ * @param {Object} structure - Result of analyzeBracket
+ * @param {string} key - Node key
+ * @param {Array<number>} order - Seeds in finishing order
+ */
+function advancePlayers(bracket, structure, key, order) {
+   order.forEach((s, i) => {
+      const feed = structure.outcomes[key][i].feed
+      if (feed) {
+         bracket[feed[0]].players[feed[1]] = s
+      }
+   })
+}
+
+/**
+ * Finishing order of a completed node: [winner, loser] for a match, result for a group
+ * @param {Object} node - Match or group node with a winner or result
+ * @returns {Array<number>} Seeds in finishing order
+ */
+function finishingOrder(node) {
+   if (node.group) {
+      return node.result
+   }
+   return [node.winner, node.players.find(s => s !== node.winner)]
+}
+
+/**
+ * Check the winners, group results and scores recorded in a bracket. A node can only be
+ * completed or in progress once the nodes feeding it are complete, a winner or result must
+ * be made up of the players who reached it, and a score must not already decide it.
+ * @param {Object} bracket - Bracket template
+ * @param {Object} structure - Result of analyzeBracket
+ * @returns {Object} completed (winning seed, or group result, by key) and inProgress
+ *    (players and score by key)
+ */
+function matchProgress(bracket, structure) {
+   const played = JSON.parse(JSON.stringify(bracket))
+   const completed = {}
+   const inProgress = {}
+   for (const k of structure.matchKeys) {
+      const node = played[k]
+      const done = node.group ? node.result : node.winner
+      if (!done && !node.score) {
+         continue
+      }
+      if (node.players.includes(0)) {
+         throw new Error(`Match ${k} has a ${done ? 'result' : 'score'}, but not all of its players are known`)
+      }
+      if (done) {
+         if (node.group) {
+            const valid = Array.isArray(done) && done.length === node.players.length && node.players.every(s => done.includes(s))
+            if (!valid) {
+               throw new Error(`Result of group ${k} must list its players ${node.players.join(', ')} in finishing order`)
+            }
+         } else if (!node.players.includes(done)) {
+            throw new Error(`Winner ${done} of match ${k} is not one of its players ${node.players.join(', ')}`)
+         }
+         completed[k] = done
+         advancePlayers(played, structure, k, finishingOrder(node))
+      } else {
+         const score = node.score
+         const format = structure.formats[k]
+         const valid = Array.isArray(score) && score.length === node.players.length && score.every(g => Number.isInteger(g) && g >= 0)
+         if (!valid) {
+            throw new Error(`Score of match ${k} must be ${node.players.length} counts, not: ${JSON.stringify(score)}`)
+         }
+         const decided = node.group ? gamesPlayed(format, score) >= format.games : matchWinner(format, score) >= 0
+         if (decided) {
+            throw new Error(`Score ${score.join('-')} of match ${k} is already decided, record a ${node.group ? 'result' : 'winner'} instead`)
+         }
+         inProgress[k] = { players: node.players, score }
+      }
+   }
+   return { completed, inProgress }
+}
+
+/**
+ * Record the winner of every match decided by a list of completed games, and the score
+ * of every match with games played but not yet decided. Groups are left alone. Games are
+ * taken in the order they were played, and each counts towards one match only: the first
+ * meeting of its two players after the matches feeding that meeting were decided, so a
+ * rematch, such as in a double elimination final, starts from no games.
+ * @param {Object} bracket - Bracket template, updated in place
+ * @param {Object} structure - Result of analyzeBracket
+ * @param {Array<Object>} games - Completed games as { seeds: [s1, s2], winner }, in the
+ *    order they were played
+ * @returns {Object} Result of matchProgress
+ */
+function applyGameResults(bracket, structure, games) {
+   games.forEach((g, i) => {
+      const valid = Array.isArray(g.seeds) && g.seeds.length === 2 && g.seeds.includes(g.winner)
+      if (!valid) {
+         throw new Error(`Game ${i + 1} must have two seeds and a winner who is one of them, not: ${JSON.stringify(g)}`)
+      }
+   })
+   const played = JSON.parse(JSON.stringify(bracket))
+
+   // The nodes feeding each node, and the index of the game that decided each node, -1
+   // when no game did.
+
+   const feeders = {}
+   for (const k of structure.matchKeys) {
+      for (const feed of nodeFeeds(played[k])) {
+         if (feed) {
+            (feeders[feed[0]] = feeders[feed[0]] || []).push(k)
+         }
+      }
+   }
+   const decidedAt = {}
+   const used = new Set()
+
+   for (const k of structure.matchKeys) {
+      const match = played[k]
+      const after = Math.max(-1, ...(feeders[k] || []).map(f => decidedAt[f]))
+      decidedAt[k] = after
+      if (!match.group && !match.players.includes(0)) {
+         const [s1, s2] = match.players
+         const format = structure.formats[k]
+         const wins = [0, 0]
+         var score = scoreFromGames(format, wins)
+         var decided = -1
+         for (var i = after + 1; i < games.length && decided < 0; i++) {
+            const g = games[i]
+            if (used.has(i) || !g.seeds.includes(s1) || !g.seeds.includes(s2)) {
+               continue
+            }
+            used.add(i)
+            wins[(g.winner === s1) ? 0 : 1]++
+            score = scoreFromGames(format, wins)
+            decided = matchWinner(format, score)
+            decidedAt[k] = i
+         }
+         if (!match.winner) {
+            if (decided >= 0) {
+               match.winner = match.players[decided]
+               bracket[k].winner = match.winner
+               delete bracket[k].score
+            } else if (wins[0] + wins[1] > 0) {
+               bracket[k].score = score
+            }
+         }
+      }
+      if (match.group ? match.result : match.winner) {
+         advancePlayers(played, structure, k, finishingOrder(match))
+      }
+   }
+   return matchProgress(bracket, structure)
+}
+
+/**
+ * Apply score overrides such as w17=2-1 or g1=8-6-4-2 to a bracket
+ * @param {Object} bracket - Bracket template, updated in place
+ * @param {Array<string>} overrides - Scores as match=score-score..., in players order
+ */
+function applyScores(bracket, overrides) {
+   for (const override of overrides) {
+      const match = override.match(/^(\w+)=(\d+(?:-\d+)+)$/)
+      if (!match) {
+         throw new Error(`Score must look like w17=2-1, not: ${override}`)
+      }
+      const [, k, score] = match
+      if (k === 'formats' || !(k in bracket) || bracket[k].final) {
+         throw new Error(`Unknown match in score: ${k}`)
+      }
+      bracket[k].score = score.split('-').map(g => parseInt(g, 10))
+   }
+}
+
+/**
+ * Force the winners of matches, e.g. { "w2": 23 }, as if they had been recorded in the bracket
+ * @param {Object} bracket - Bracket template, updated in place
+ * @param {Object} winners - Winning seed by match
+ */
+function applyWinners(bracket, winners) {
+   for (const [k, seed] of Object.entries(winners)) {
+      if (k === 'formats' || !(k in bracket) || bracket[k].final || bracket[k].group) {
+         throw new Error(`Unknown match for a winner: ${k}`)
+      }
+      bracket[k].winner = seed
+      delete bracket[k].score
+   }
+}
+
+/**
+ * Standard seeding order for a full bracket, e.g. 1, 8, 4, 5, 2, 7, 3, 6 for 8 slots
+ * @param {number} slots - Power of two
+ * @returns {Array<number>} Seeds from top to bottom of the bracket
+ */
+function seedOrder(slots) {
+   let order = [1]
+   while (order.length < slots) {
+      const size = order.length * 2
+      order = order.flatMap(s => [s, size + 1 - s])
+   }
+   return order
+}
+
+/**
+ * Generate a standard seeded single-elimination bracket with byes for any field size
+ * @param {number} fieldSize - Number of players
+ * @returns {Object} Bracket in the same format as data/bracket-*.json
+ */
+function generateBracket(fieldSize) {
+   if (!Number.isInteger(fieldSize) || fieldSize < 2) {
+      throw new Error(`Field size must be at least 2, not: ${fieldSize}`)
+   }
+   let slots = 2
+   while (slots < fieldSize) {
+      slots *= 2
+   }
+
+   // Number matches as if the bracket were full, then drop the first round matches against
+   // a missing seed and move the higher seed straight into its second round slot.
+
+   const bracket = {}
+   const order = seedOrder(slots)
+   let key = 1
+   let first = 1
+   let round = 1
+   for (let size = slots / 2; size >= 1; size /= 2) {
+      const next = first + size
+      for (let i = 0; i < size; i++) {
+         const match = {
+            round,
+            players: round === 1 ? [order[2 * i], order[2 * i + 1]] : [0, 0],
+            feeds: [`w${next + Math.floor(i / 2)}`, i % 2]
+         }
+         bracket[`w${key++}`] = match
+      }
+      first = next
+      round++
+   }
+   bracket[`w${key}`] = { round, players: [0], final: true }
+
+   for (let i = 0; i < slots / 2; i++) {
+      const k = `w${i + 1}`
+      const [s1, s2] = bracket[k].players
+      if (s2 > fieldSize) {
+         const [target, slot] = bracket[k].feeds
+         bracket[target].players[slot] = s1
+         delete bracket[k]
+      }
+   }
+   return bracket
+}
+
+/**
+ * Load a bracket file, or generate a standard bracket when none is given and the
+ * default data/bracket-N.json does not exist
+ * @param {number} fieldSize - Number of players
+ * @param {string} filename - Optional bracket file
+ * @returns {Object} Bracket template
+ */
+function loadBracket(fieldSize, filename = null) {
+   const path = filename || `./data/bracket-${fieldSize}.json`
+   if (!filename && !fs.existsSync(path)) {
+      console.error(`No ${path}, generating a standard bracket for ${fieldSize} players`)
+      return generateBracket(fieldSize)
+   }
+   return parseJson(fs.readFileSync(path, 'utf8'), path)
+}
+
+/**
+ * Parse JSON, reporting a syntax error with its line and column
+ * @param {string} text - JSON text
+ * @param {string} filename - File the text came from, for the error message
+ * @returns {Object} Parsed value
+ */
+function parseJson(text, filename) {
+   try {
+      return JSON.parse(text)
+   } catch (err) {
+      const position = err.message.match(/at position (\d+)/)
+      if (!position) {
+         throw new Error(`${filename}: ${err.message}`)
+      }
+      const before = text.slice(0, parseInt(position[1], 10)).split('\n')
+      throw new Error(`${filename} line ${before.length}, column ${before[before.length - 1].length + 1}: ${err.message.replace(/ in JSON at position \d+.*$/, '')}`)
+   }
+}
+
+module.exports = {
+   analyzeBracket,
+   applyGameResults,
+   applyScores,
+   applyWinners,
+   checkBracket,
+   matchProgress,
+   placementBands,
+   generateBracket,
+   loadBracket,
+   parseJson,
+   seedOrder
+}
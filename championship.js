@@ -0,0 +1,634 @@
+// Championship functions
+//
+// Everything from a field and a bracket to the results state.js writes, without reading
+// options or writing files, so the same simulation can run from the command line, the local
+// server (server.js) or other scripts. loadField loads and checks a field, prepareBracket
+// loads and checks a bracket and applies the matches played so far, and runChampionship runs
+// the simulations and builds the results JSON and the TSV tables.
+
+const fs = require('fs')
+const { parse } = require('csv-parse/sync')
+const { analyzeBracket, applyGameResults, applyScores, applyWinners, checkBracket, matchProgress, placementBands, loadBracket } = require('./bracket')
+const { describeFormat, matchWinProbability } = require('./formats')
+const { DEFAULT_MODEL, getModel } = require('./models')
+const { getTournamentField } = require('./matchplay-api')
+const { createRunner } = require('./simulate')
+
+const DATA_DIR = './data'
+const PERCENTILES = [10, 50, 90]
+const Z95 = 1.959964
+const SLOT_OCCUPANTS = 4
+
+/**
+ * Load and check a bracket for the field, and apply the matches played so far
+ * @param {number} fieldSize - Number of players in the bracket
+ * @param {Object|string} bracket - Bracket template, or bracket file (default:
+ *    data/bracket-N.json, generated if missing)
+ * @param {Object} progress - Optionally games (completed Matchplay games), scores (e.g.
+ *    ["w17=2-1"]), winners (forced winning seed by match) and qualifying (true when
+ *    qualifying decides the field)
+ * @returns {Object} template (with the results applied), structure (from analyzeBracket),
+ *    completed and inProgress (from matchProgress)
+ */
+function prepareBracket(fieldSize, bracket = null, { games = null, scores = null, winners = null, qualifying = false } = {}) {
+   var template
+   var structure
+   try {
+      template = (bracket && typeof bracket === 'object') ? bracket : loadBracket(fieldSize, bracket)
+      const problems = checkBracket(template)
+      if (problems.length > 0) {
+         throw new Error(problems.join('; '))
+      }
+      structure = analyzeBracket(template)
+   } catch (err) {
+      throw new Error(`Invalid bracket: ${err.message}`)
+   }
+   if (structure.fieldSize != fieldSize) {
+      const which = qualifying ? 'qualifying has' : 'field has'
+      throw new Error(`Bracket is for ${structure.fieldSize} players, but the ${which} ${fieldSize}`)
+   }
+
+   // Matches already played keep their actual winners, and matches in progress continue
+   // from their current score.
+
+   try {
+      if (games) {
+         applyGameResults(template, structure, games)
+      }
+      if (scores) {
+         applyScores(template, scores)
+      }
+      if (winners) {
+         applyWinners(template, winners)
+      }
+      const { completed, inProgress } = matchProgress(template, structure)
+      return { template, structure, completed, inProgress }
+   } catch (err) {
+      throw new Error(`Invalid results: ${err.message}`)
+   }
+}
+
+/**
+ * Simulate the championship and build its results
+ * @param {Object} input - field (players with name, seed, rating and rd, and optionally
+ *    ifpaRating and qualifyingPoints), bracket (from prepareBracket), and optionally
+ *    qualifying (a normalized qualifying format, which makes field the list of entrants),
+ *    machines (names), machineStrengths (by player name, then machine), points (points by
+ *    place) and baseline (earlier results to compare against, as { path, results })
+ * @param {Object} settings - iterations, seed, model, workers, and optionally precision with
+ *    batch and maxIterations, source (e.g. field:open-field) and bracketFile
+ * @returns {Promise<Object>} results (the results JSON), tsv, matchupTsv and, when qualifying,
+ *    seedTsv (each an array of lines)
+ */
+async function runChampionship(input, settings) {
+   const { bracket, qualifying = null, machines = null, machineStrengths = {}, points = null, baseline = null } = input
+   const { template, structure, completed, inProgress } = bracket
+   const {
+      iterations: iterationCount = 1000000,
+      seed = 42,
+      model: modelName = DEFAULT_MODEL,
+      workers = 1,
+      precision = null,
+      batch = 100000,
+      maxIterations = 100000000,
+      source = null,
+      bracketFile = null
+   } = settings
+   const model = getModel(modelName)
+   if (precision && !(precision > 0 && batch > 0 && maxIterations > 0)) {
+      throw new Error(`Precision, batch and maxIterations must be positive numbers, not: ${precision}, ${batch}, ${maxIterations}`)
+   }
+
+   // With qualifying the field lists the entrants, and each simulation seeds the bracket by
+   // playing out qualifying first.
+
+   var field = qualifying ? input.field.map(({ seed, ...entrant }) => entrant) : input.field
+   const rounds = structure.rounds
+
+   // Save the original input field before adding simulation fields
+   const inputField = field.map(player => ({ ...player }))
+   const machineInfo = machines ? { list: machines, strengths: machineStrengths } : null
+
+   // Run the simulation many times, spread over the workers. With a precision, run batches
+   // until the 95% interval of every gold probability is within the requested tolerance.
+
+   const runner = createRunner({ field: inputField, bracket: template, structure, inProgress, model: modelName, seed, machines, machineStrengths, qualifying }, workers)
+   var tallies
+   try {
+      if (precision) {
+         const precise = () => tallies.players.every(p => halfWidth(p.gold / tallies.iterations, tallies.iterations) <= precision)
+         do {
+            tallies = await runner.run(Math.min(batch, maxIterations - (tallies ? tallies.iterations : 0)))
+         } while (tallies.iterations < maxIterations && !precise())
+         if (precise()) {
+            console.error(`Reached precision ${precision} after ${tallies.iterations} iterations`)
+         } else {
+            console.error(`Warning: Stopped at ${tallies.iterations} iterations without reaching precision ${precision}`)
+         }
+      } else {
+         tallies = await runner.run(iterationCount)
+      }
+   } finally {
+      await runner.close()
+   }
+   const iterations = tallies.iterations
+   const { liveWins, meetings, meetingsByRound, meetingRounds, occupants } = tallies
+   field = field.map((player, i) => ({ ...player, ...tallies.players[i] }))
+
+   function f(s) {
+      return field[s - 1]
+   }
+
+   // Report the chance each player in a match in progress goes on to win it.
+
+   function liveMatchResults() {
+      return Object.keys(inProgress).map(k => ({
+         match: k,
+         players: inProgress[k].players.map(s => f(s).name),
+         score: inProgress[k].score,
+         winProbability: liveWins[k].map(w => w / iterations),
+         standardError: liveWins[k].map(w => standardError(w / iterations, iterations))
+      }))
+   }
+
+   // The players most likely to occupy each slot of each match, for the bracket view.
+
+   function slotOccupants() {
+      const result = {}
+      for (const k in occupants) {
+         result[k] = occupants[k].map(counts => counts
+            .map((count, i) => ({ name: field[i].name, probability: count / iterations }))
+            .filter(o => o.probability > 0)
+            .sort((a, b) => b.probability - a.probability)
+            .slice(0, SLOT_OCCUPANTS))
+      }
+      return result
+   }
+
+   // Every finishing position the bracket can award, with tied places grouped into bands,
+   // and the points each band is worth when a points table is given.
+
+   const bands = placementBands(structure)
+   if (qualifying) {
+      // Entrants who miss the bracket finish in their qualifying position.
+      const first = structure.fieldSize + 1
+      bands.push({ first, last: field.length, label: (first === field.length) ? `${first}` : `${first}-${field.length}` })
+   }
+   const pointsTable = points
+   if (pointsTable) {
+      for (const band of bands) {
+         var total = 0
+         for (var place = band.first; place <= band.last; place++) {
+            total += pointsTable[place] || 0
+         }
+         // Tied players share the points for the places they tie for.
+         band.points = total / (band.last - band.first + 1)
+      }
+   }
+
+   // Pairwise matchups: the chance of winning a single game and a match in the bracket's
+   // default format under the chosen model, averaged over rating uncertainty when the model
+   // samples ratings, and how often the pair meets.
+
+   const matchupFormat = structure.defaultFormat
+   const roundLabels = meetingRounds.slice().sort((a, b) => {
+      const ra = parseInt(a.replace('round ', ''), 10)
+      const rb = parseInt(b.replace('round ', ''), 10)
+      return (isNaN(ra) ? Infinity : ra) - (isNaN(rb) ? Infinity : rb)
+   })
+   var matchups = []
+   for (var a = 0; a < field.length; a++) {
+      for (var b = 0; b < field.length; b++) {
+         if (a == b) {
+            continue
+         }
+         var meetByRound = {}
+         for (const label of roundLabels) {
+            meetByRound[label] = (meetingsByRound[a][b][label] || 0) / iterations
+         }
+         matchups.push({
+            player: field[a].name,
+            opponent: field[b].name,
+            gameWinProbability: model.expected(field[a], field[b], p => p),
+            matchWinProbability: model.expected(field[a], field[b], p => matchWinProbability(matchupFormat, p)),
+            meetProbability: meetings[a][b] / iterations,
+            meetStandardError: standardError(meetings[a][b] / iterations, iterations),
+            meetByRound
+         })
+      }
+   }
+
+   const matchupHeading = ['player', 'opponent', 'game win', `match win (${describeFormat(matchupFormat)})`, 'meet', 'meet se']
+      .concat(roundLabels.map(label => `meet ${label}`))
+   const matchupTsv = [matchupHeading.join("\t")].concat(matchups.map(m => [
+      m.player,
+      m.opponent,
+      m.gameWinProbability,
+      m.matchWinProbability,
+      m.meetProbability,
+      m.meetStandardError
+   ].concat(roundLabels.map(label => m.meetByRound[label])).join("\t")))
+
+   var partialHeading = ['name', 'seed', 'rating', 'rd']
+
+   for (var k = 0; k < (rounds - 1); k++) {
+      partialHeading.push('round ' + (k + 1))
+   }
+   var heading = partialHeading.concat(['gold', 'silver', 'bronze', 'average placement'])
+   heading = heading.concat(bands.map(band => 'place ' + band.label))
+   heading = heading.concat(PERCENTILES.map(q => `placement ${q}th percentile`))
+   if (pointsTable) {
+      heading.push('expected points')
+   }
+   if (qualifying) {
+      heading = heading.concat(['qualify', 'average seed'])
+   }
+   if (baseline) {
+      heading = heading.concat(['gold change', 'silver change', 'bronze change'])
+   }
+   for (var k = 0; k < (rounds - 1); k++) {
+      heading.push(`round ${k + 1} se`)
+   }
+   heading = heading.concat(['gold se', 'silver se', 'bronze se'])
+   heading = heading.concat(bands.map(band => `place ${band.label} se`))
+   if (qualifying) {
+      heading.push('qualify se')
+   }
+
+   var tsvOutput = []
+   tsvOutput.push(heading.join("\t"))
+
+   var jsonResults = []
+
+   for (var mm = 0; mm < field.length; mm++) {
+      var partial = [field[mm].name, field[mm].seed, field[mm].rating, field[mm].rd]
+
+      var roundWinProbabilities = {}
+      for (var j = 0; j < (rounds - 1); j++) {
+         partial.push(field[mm].wins[j] / iterations)
+         roundWinProbabilities[`round${j + 1}`] = field[mm].wins[j] / iterations
+      }
+      var fields = partial.concat([field[mm].gold / iterations, field[mm].silver / iterations, field[mm].bronze / iterations, field[mm].place / iterations])
+
+      var placementDistribution = {}
+      var placementPercentiles = {}
+      var expectedPoints = { total: 0, byPlacement: {} }
+      var cumulative = 0
+      for (const band of bands) {
+         const p = (field[mm].placements[band.first] || 0) / iterations
+         placementDistribution[band.label] = p
+         fields.push(p)
+         for (const q of PERCENTILES) {
+            if (!(q in placementPercentiles) && cumulative + p >= q / 100 - 1e-12) {
+               placementPercentiles[q] = band.label
+            }
+         }
+         cumulative += p
+         if (pointsTable) {
+            expectedPoints.byPlacement[band.label] = p * band.points
+            expectedPoints.total += p * band.points
+         }
+      }
+      fields = fields.concat(PERCENTILES.map(q => placementPercentiles[q]))
+      if (pointsTable) {
+         fields.push(expectedPoints.total)
+      }
+
+      var qualification = null
+      if (qualifying) {
+         const seedDistribution = {}
+         var seedTotal = 0
+         field[mm].seeds.forEach((count, k) => {
+            seedDistribution[k + 1] = count / iterations
+            seedTotal += (k + 1) * count
+         })
+         qualification = {
+            qualifyProbability: field[mm].qualified / iterations,
+            averageSeed: (field[mm].qualified > 0) ? seedTotal / field[mm].qualified : null,
+            seedDistribution
+         }
+         fields = fields.concat([qualification.qualifyProbability, qualification.averageSeed])
+      }
+
+      var change = null
+      if (baseline) {
+         const before = baseline.results.find(r => r.name == field[mm].name)
+         change = {
+            gold: field[mm].gold / iterations - (before ? before.goldProbability : 0),
+            silver: field[mm].silver / iterations - (before ? before.silverProbability : 0),
+            bronze: field[mm].bronze / iterations - (before ? before.bronzeProbability : 0)
+         }
+         fields = fields.concat([change.gold, change.silver, change.bronze])
+      }
+
+      var result = {
+         name: field[mm].name,
+         seed: field[mm].seed,
+         rating: field[mm].rating,
+         ratingDeviation: field[mm].rd,
+         roundWinProbabilities,
+         goldProbability: field[mm].gold / iterations,
+         silverProbability: field[mm].silver / iterations,
+         bronzeProbability: field[mm].bronze / iterations,
+         averagePlacement: field[mm].place / iterations,
+         placementDistribution,
+         placementPercentiles
+      }
+      if (pointsTable) {
+         result.expectedPoints = expectedPoints
+      }
+      if (qualification) {
+         Object.assign(result, qualification)
+      }
+      if (change) {
+         result.changeSinceBaseline = change
+      }
+
+      // Monte Carlo error of every probability, as a standard error and a Wilson 95% interval.
+
+      const uncertainty = fn => ({
+         roundWinProbabilities: mapValues(roundWinProbabilities, fn),
+         goldProbability: fn(result.goldProbability),
+         silverProbability: fn(result.silverProbability),
+         bronzeProbability: fn(result.bronzeProbability),
+         placementDistribution: mapValues(placementDistribution, fn),
+         ...(qualification ? { qualifyProbability: fn(qualification.qualifyProbability) } : {})
+      })
+      result.standardErrors = uncertainty(p => standardError(p, iterations))
+      result.intervals95 = uncertainty(p => wilsonInterval(p, iterations))
+
+      const se = result.standardErrors
+      fields = fields.concat(Object.values(se.roundWinProbabilities))
+      fields = fields.concat([se.goldProbability, se.silverProbability, se.bronzeProbability])
+      fields = fields.concat(Object.values(se.placementDistribution))
+      if (qualification) {
+         fields.push(se.qualifyProbability)
+      }
+
+      tsvOutput.push(fields.join("\t"))
+      jsonResults.push(result)
+   }
+
+   const jsonOutput = {
+      generatedAt: new Date().toISOString(),
+      iterations,
+      precision: precision || null,
+      model: modelName,
+      machines: machineInfo,
+      qualifying,
+      source,
+      bracket: bracketFile,
+      input: inputField,
+      completed,
+      inProgress,
+      liveMatches: liveMatchResults(),
+      occupants: slotOccupants(),
+      placementBands: bands,
+      results: jsonResults,
+      matchups: {
+         format: describeFormat(matchupFormat),
+         pairs: matchups
+      }
+   }
+   if (baseline) {
+      jsonOutput.baseline = baseline.path
+   }
+
+   // Each entrant's chance of each seed.
+
+   var seedTsv = null
+   if (qualifying) {
+      const seedHeading = ['name', 'qualify'].concat(field[0].seeds.map((_, k) => `seed ${k + 1}`))
+      seedTsv = [seedHeading.join("\t")].concat(jsonResults.map(r => [r.name, r.qualifyProbability]
+         .concat(Object.values(r.seedDistribution)).join("\t")))
+   }
+
+   return { results: jsonOutput, tsv: tsvOutput, matchupTsv, seedTsv }
+}
+
+// Read player data including name, seed, rating, and rd, the IFPA rating for the ifpa model
+// when there is an ifpa_rating column, the IFPA ID when there is an ifpa_id column, and
+// qualifying or standings points so far when there is a points column. Throws when the file
+// cannot be read or parsed, so check it with checkFieldFile first.
+
+function readField(filename) {
+   const data = fs.readFileSync(filename, 'utf8')
+   const records = parse(data, {
+      columns: true,
+      delimiter: '\t',
+      trim: true
+   })
+
+   return records.map(record => {
+      const player = {
+         name: record.name,
+         rating: parseFloat(record.rating),
+         rd: parseFloat(record.rd),
+         seed: parseInt(record.seed, 10)
+      }
+      if (record.ifpa_rating) {
+         player.ifpaRating = parseFloat(record.ifpa_rating)
+      }
+      if (record.ifpa_id) {
+         player.ifpaId = record.ifpa_id
+      }
+      if (record.points) {
+         player.qualifyingPoints = parseFloat(record.points)
+      }
+      return player
+   })
+}
+
+/**
+ * Load and check the field for a run: the players of a Matchplay tournament, or a field TSV
+ * in ./data
+ * @param {Object} source - tournament (Matchplay tournament ID) or field (field name, e.g.
+ *    open-field)
+ * @param {Object} options - As for checkField, and strict (fail instead of using a default
+ *    rating when a Matchplay rating request fails)
+ * @returns {Promise<Array<Object>>} Players, in seed order unless qualifying decides the seeds
+ * @throws {Error} Listing every problem with the field, one per line, as problems
+ */
+async function loadField({ tournament = null, field = null }, { strict = false, ...options } = {}) {
+   var players = null
+   var problems
+   var source
+   if (tournament) {
+      source = `tournament ${tournament}`
+      players = await getTournamentField(parseInt(tournament, 10), false, strict)
+      problems = checkField(players, options)
+   } else {
+      source = `${DATA_DIR}/${field}.tsv`
+      problems = checkFieldFile(source, options)
+   }
+   if (problems.length > 0) {
+      const err = new Error([`Invalid field ${source}:`].concat(problems.map(problem => `   ${problem}`)).join('\n'))
+      err.problems = problems
+      throw err
+   }
+   players = players || readField(source)
+   return options.qualifying ? players : players.sort((a, b) => a.seed - b.seed)
+}
+
+/**
+ * Check a field TSV before a run, with the line number of each problem
+ * @param {string} filename - Field TSV
+ * @param {Object} options - As for checkField
+ * @returns {Array<string>} Problems, empty when the field is fine
+ */
+function checkFieldFile(filename, options = {}) {
+   var columns = []
+   var records
+   try {
+      records = parse(fs.readFileSync(filename, 'utf8'), {
+         columns: header => (columns = header),
+         delimiter: '\t',
+         trim: true,
+         info: true
+      })
+   } catch (err) {
+      return [err.message]
+   }
+   const required = options.qualifying ? ['name', 'rating', 'rd'] : ['name', 'rating', 'rd', 'seed']
+   const missing = required.filter(c => !columns.includes(c))
+   if (missing.length > 0) {
+      return [`line 1: missing column ${missing.join(', ')} (the heading has ${columns.join(', ')})`]
+   }
+   return fieldProblems(records.map(({ info, record }) => ({ label: `line ${info.lines}`, values: record })), options)
+}
+
+/**
+ * Check a field before a run: blank or duplicate names, ratings and rds that are not numbers,
+ * and seeds that are repeated, missing or don't match the bracket
+ * @param {Array<Object>} field - Players with name, seed, rating and rd, and optionally
+ *    ifpaRating and qualifyingPoints
+ * @param {Object} options - qualifying (true when qualifying decides the seeds, so players
+ *    need none) and fieldSize (players in the bracket)
+ * @returns {Array<string>} Problems, empty when the field is fine
+ */
+function checkField(field, options = {}) {
+   if (!Array.isArray(field)) {
+      return [`Field must be a list of players, not: ${JSON.stringify(field)}`]
+   }
+   const problems = []
+   const entries = []
+   field.forEach((p, i) => {
+      if (!p || typeof p !== 'object' || Array.isArray(p)) {
+         problems.push(`player ${i + 1}: must be a player with a name, rating and rd, not: ${JSON.stringify(p)}`)
+         return
+      }
+      entries.push({
+         label: `player ${i + 1}`,
+         values: { name: p.name, seed: p.seed, rating: p.rating, rd: p.rd, ifpa_rating: p.ifpaRating, points: p.qualifyingPoints }
+      })
+   })
+   return (problems.length > 0) ? problems : fieldProblems(entries, options)
+}
+
+function isNumber(value) {
+   return value !== undefined && value !== null && `${value}`.trim() !== '' && isFinite(Number(value))
+}
+
+// The problems with a list of players, each as { label, values } with values keyed by the
+// field TSV's columns.
+
+function fieldProblems(entries, { qualifying = false, fieldSize = null } = {}) {
+   const problems = []
+   const names = {}
+   const seeds = {}
+   for (const { label, values } of entries) {
+      const name = `${values.name || ''}`.trim()
+      const who = name || 'the player'
+      if (!name) {
+         problems.push(`${label}: name is blank`)
+      } else if (name in names) {
+         problems.push(`${label}: ${name} is already listed on ${names[name]}`)
+      } else {
+         names[name] = label
+      }
+      if (!isNumber(values.rating)) {
+         problems.push(`${label}: rating of ${who} must be a number, not: ${values.rating}`)
+      }
+      if (!isNumber(values.rd) || Number(values.rd) < 0) {
+         problems.push(`${label}: rd of ${who} must be a number of 0 or more, not: ${values.rd}`)
+      }
+      for (const column of ['ifpa_rating', 'points']) {
+         if (isNumber(values[column]) || values[column] === undefined || values[column] === null || `${values[column]}`.trim() === '') {
+            continue
+         }
+         problems.push(`${label}: ${column} of ${who} must be a number, not: ${values[column]}`)
+      }
+      if (qualifying) {
+         continue
+      }
+      const seed = Number(values.seed)
+      if (!isNumber(values.seed) || !Number.isInteger(seed) || seed < 1) {
+         problems.push(`${label}: seed of ${who} must be a whole number from 1, not: ${values.seed}`)
+      } else if (seed in seeds) {
+         problems.push(`${label}: seed ${seed} of ${who} is already held by ${seeds[seed].name} on ${seeds[seed].label}`)
+      } else {
+         seeds[seed] = { name: who, label }
+      }
+   }
+
+   const n = entries.length
+   if (n < 2) {
+      problems.push(`Field must contain at least 2 players, found: ${n}`)
+   }
+   if (!qualifying) {
+      const missing = []
+      for (var s = 1; s <= n; s++) {
+         if (!(s in seeds)) {
+            missing.push(s)
+         }
+      }
+      if (missing.length > 0) {
+         problems.push(`Seeds must run from 1 to ${n}, missing: ${missing.join(', ')}`)
+      }
+   }
+   if (fieldSize !== null && !qualifying && n !== fieldSize) {
+      problems.push(`Bracket is for ${fieldSize} players, but the field has ${n}`)
+      for (const seed of Object.keys(seeds).map(Number).filter(seed => seed > fieldSize).sort((a, b) => a - b)) {
+         problems.push(`${seeds[seed].label}: seed ${seed} of ${seeds[seed].name} is beyond the bracket's ${fieldSize} seeds`)
+      }
+   }
+   if (fieldSize !== null && qualifying && n < fieldSize) {
+      problems.push(`Qualifying fills ${fieldSize} seeds, but the field has only ${n} entrants`)
+   }
+   return problems
+}
+
+// Standard error of a probability estimated from n simulations.
+
+function standardError(p, n) {
+   return Math.sqrt(p * (1 - p) / n)
+}
+
+// Wilson score 95% interval of a probability estimated from n simulations, which stays
+// sensible for probabilities near 0 or 1.
+
+function wilsonInterval(p, n) {
+   const z2 = Z95 * Z95
+   const denominator = 1 + z2 / n
+   const centre = (p + z2 / (2 * n)) / denominator
+   const half = Z95 * Math.sqrt(p * (1 - p) / n + z2 / (4 * n * n)) / denominator
+   return [Math.max(0, centre - half), Math.min(1, centre + half)]
+}
+
+function halfWidth(p, n) {
+   const [low, high] = wilsonInterval(p, n)
+   return (high - low) / 2
+}
+
+function mapValues(object, fn) {
+   return Object.fromEntries(Object.entries(object).map(([k, v]) => [k, fn(v)]))
+}
+
+module.exports = {
+   checkField,
+   checkFieldFile,
+   loadField,
+   prepareBracket,
+   readField,
+   runChampionship
+}
@@ -0,0 +1,234 @@
+/*
+   Compares two results JSON files written by state.js, e.g. two versions of
+   results-<name>-N.json. Players are matched by name. For each player it shows the change in
+   their medal and round-advance probabilities next to the changes in their own input (rating,
+   rd, seed), after a summary of what changed in the run as a whole: players added or removed,
+   iterations, model, bracket, machines, qualifying and matches played.
+
+   usage: node compare.js results/results-open-field.json results/results-open-field-1.json
+          node compare.js old.json new.json --markdown > changes.md
+   help: node compare.js --help
+*/
+
+const fs = require('fs')
+const { program } = require('commander')
+const { DEFAULT_MODEL } = require('./models')
+
+const SORTS = ['gold', 'change', 'seed', 'name']
+
+program
+   .argument('<before>', 'earlier results JSON')
+   .argument('<after>', 'later results JSON')
+   .option('--markdown', 'print markdown tables instead of a terminal table')
+   .option('--sort <order>', `order of players (${SORTS.join(', ')})`, 'change')
+   .option('--all', 'list every player, not just those whose odds or input changed')
+   .parse()
+
+const options = program.opts()
+
+const ORDERS = {
+   gold: (a, b) => (b.after.gold || 0) - (a.after.gold || 0),
+   change: (a, b) => Math.abs(b.delta.gold || 0) - Math.abs(a.delta.gold || 0),
+   seed: (a, b) => (a.seedAfter || Infinity) - (b.seedAfter || Infinity),
+   name: (a, b) => a.name.localeCompare(b.name)
+}
+
+main()
+
+function main() {
+   const [beforePath, afterPath] = program.args
+   if (!SORTS.includes(options.sort)) {
+      console.error(`Error: Unknown sort: ${options.sort} (choose from ${SORTS.join(', ')})`)
+      process.exit(1)
+   }
+   const before = readResults(beforePath)
+   const after = readResults(afterPath)
+
+   const runChanges = compareRuns(before, after)
+   const rounds = Array.from(new Set(before.results.concat(after.results)
+      .flatMap(r => Object.keys(r.roundWinProbabilities || {}))))
+      .sort((a, b) => parseInt(a.slice(5), 10) - parseInt(b.slice(5), 10))
+   const players = comparePlayers(before, after, rounds)
+
+   const beforeNames = new Set(before.results.map(r => r.name))
+   const afterNames = new Set(after.results.map(r => r.name))
+   const added = after.results.filter(r => !beforeNames.has(r.name)).map(r => r.name)
+   const removed = before.results.filter(r => !afterNames.has(r.name)).map(r => r.name)
+   if (added.length > 0) {
+      runChanges.push(`players added: ${added.join(', ')}`)
+   }
+   if (removed.length > 0) {
+      runChanges.push(`players removed: ${removed.join(', ')}`)
+   }
+
+   const shown = players
+      .filter(p => options.all || p.changes.length > 0 || p.significant)
+      .sort(ORDERS[options.sort])
+
+   const heading = ['name', 'seed', 'gold', 'Δ gold', 'Δ silver', 'Δ bronze']
+      .concat(rounds.map(round => `Δ ${round.replace('round', 'R')}`), ['input changes'])
+   const rows = shown.map(p => [
+      p.name,
+      p.seed,
+      percent(p.after.gold),
+      signedPercent(p.delta.gold) + (p.significance.gold ? '*' : ''),
+      signedPercent(p.delta.silver) + (p.significance.silver ? '*' : ''),
+      signedPercent(p.delta.bronze) + (p.significance.bronze ? '*' : '')
+   ].concat(rounds.map(round => signedPercent(p.delta.rounds[round])), [p.changes.join(', ')]))
+
+   const lines = []
+   if (options.markdown) {
+      lines.push(`## ${beforePath} → ${afterPath}`, '')
+      lines.push('### Changes to the run', '')
+      lines.push(...(runChanges.length > 0 ? runChanges.map(c => `* ${c}`) : ['* none']), '')
+      lines.push('### Players', '')
+      lines.push(...markdownTable(heading, rows))
+   } else {
+      lines.push(`${beforePath} -> ${afterPath}`, '')
+      lines.push('Changes to the run:')
+      lines.push(...(runChanges.length > 0 ? runChanges.map(c => `  ${c}`) : ['  none']), '')
+      lines.push(...textTable(heading, rows))
+   }
+   lines.push('')
+   lines.push(`* more than twice the combined standard error, so unlikely to be sampling noise. ${shown.length} of ${players.length} players shown.`)
+   console.log(lines.join('\n'))
+}
+
+function readResults(filename) {
+   try {
+      const data = JSON.parse(fs.readFileSync(filename, 'utf8'))
+      if (!Array.isArray(data.results)) {
+         throw new Error('no results')
+      }
+      return data
+   } catch (err) {
+      console.error(`Error: Could not read results ${filename}: ${err.message}`)
+      process.exit(1)
+   }
+}
+
+// What changed in the run as a whole, as a list of descriptions.
+
+function compareRuns(before, after) {
+   const changes = []
+   const describe = value => (value === undefined || value === null) ? 'none' : (typeof value === 'object' ? JSON.stringify(value) : `${value}`)
+   const compare = (label, a, b) => {
+      if (describe(a) !== describe(b)) {
+         changes.push(`${label}: ${describe(a)} -> ${describe(b)}`)
+      }
+   }
+   compare('iterations', before.iterations, after.iterations)
+   compare('source', before.source, after.source)
+   compare('model', before.model || DEFAULT_MODEL, after.model || DEFAULT_MODEL)
+   compare('bracket', before.bracket, after.bracket)
+   compare('machines', before.machines, after.machines)
+   compare('qualifying', before.qualifying, after.qualifying)
+
+   const completedBefore = before.completed || {}
+   const completedAfter = after.completed || {}
+   const decided = Object.keys(completedAfter).filter(k => completedBefore[k] !== completedAfter[k])
+   if (decided.length > 0) {
+      changes.push(`matches decided: ${decided.map(k => `${k} (seed ${completedAfter[k]})`).join(', ')}`)
+   }
+   const undone = Object.keys(completedBefore).filter(k => !(k in completedAfter))
+   if (undone.length > 0) {
+      changes.push(`matches no longer decided: ${undone.join(', ')}`)
+   }
+   const scoresBefore = before.inProgress || {}
+   const scoresAfter = after.inProgress || {}
+   const rescored = Object.keys(scoresAfter).filter(k => describe(scoresBefore[k]) !== describe(scoresAfter[k]))
+   if (rescored.length > 0) {
+      changes.push(`scores: ${rescored.map(k => `${k} ${scoresAfter[k].join('-')}`).join(', ')}`)
+   }
+   return changes
+}
+
+// Each player in both files, with the change in their odds and in their input.
+
+function comparePlayers(before, after, rounds) {
+   const inputOf = data => Object.fromEntries((data.input || []).map(p => [p.name, p]))
+   const inputBefore = inputOf(before)
+   const inputAfter = inputOf(after)
+   const resultsBefore = Object.fromEntries(before.results.map(r => [r.name, r]))
+
+   return after.results.filter(r => r.name in resultsBefore).map(r => {
+      const b = resultsBefore[r.name]
+      const ib = inputBefore[r.name] || { rating: b.rating, rd: b.ratingDeviation, seed: b.seed }
+      const ia = inputAfter[r.name] || { rating: r.rating, rd: r.ratingDeviation, seed: r.seed }
+
+      const changes = []
+      if (ib.rating !== ia.rating) {
+         changes.push(`rating ${ib.rating} -> ${ia.rating} (${signed(ia.rating - ib.rating)})`)
+      }
+      if (ib.rd !== ia.rd) {
+         changes.push(`rd ${ib.rd} -> ${ia.rd} (${signed(ia.rd - ib.rd)})`)
+      }
+      const seeded = hasSeed(b) && hasSeed(r)
+      if (seeded && b.seed !== r.seed) {
+         changes.push(`seed ${b.seed} -> ${r.seed}`)
+      }
+
+      const medals = { gold: 'goldProbability', silver: 'silverProbability', bronze: 'bronzeProbability' }
+      const delta = { rounds: {} }
+      const significance = {}
+      for (const [medal, key] of Object.entries(medals)) {
+         delta[medal] = r[key] - b[key]
+         const se = Math.hypot(standardError(b, key), standardError(r, key))
+         significance[medal] = se > 0 && Math.abs(delta[medal]) > 2 * se
+      }
+      for (const round of rounds) {
+         const pb = (b.roundWinProbabilities || {})[round]
+         const pa = (r.roundWinProbabilities || {})[round]
+         delta.rounds[round] = (pb === undefined || pa === undefined) ? null : pa - pb
+      }
+      return {
+         name: r.name,
+         seed: (seeded && b.seed !== r.seed) ? `${b.seed} -> ${r.seed}` : (hasSeed(r) ? `${r.seed}` : ''),
+         seedAfter: r.seed,
+         after: { gold: r.goldProbability },
+         delta,
+         significance,
+         significant: Object.values(significance).some(Boolean),
+         changes
+      }
+   })
+}
+
+// Qualifying results have no seed until the field is drawn from the standings.
+
+function hasSeed(result) {
+   return result.seed !== undefined && result.seed !== null
+}
+
+function standardError(result, key) {
+   return (result.standardErrors && result.standardErrors[key]) || 0
+}
+
+function signed(x) {
+   return `${(x >= 0) ? '+' : ''}${Math.round(x * 10) / 10}`
+}
+
+function percent(p) {
+   return (p === undefined || p === null) ? '' : `${(p * 100).toFixed(1)}%`
+}
+
+function signedPercent(p) {
+   if (p === undefined || p === null) {
+      return ''
+   }
+   const rounded = (p * 100).toFixed(1)
+   return (rounded === '0.0' || rounded === '-0.0') ? '0.0' : `${(p > 0) ? '+' : ''}${rounded}`
+}
+
+function textTable(heading, rows) {
+   const widths = heading.map((h, i) => Math.max(h.length, ...rows.map(row => `${row[i]}`.length)))
+   const line = row => row.map((cell, i) => (i === 0 || i === row.length - 1)
+      ? `${cell}`.padEnd(widths[i]) : `${cell}`.padStart(widths[i])).join('  ').trimEnd()
+   return [line(heading), widths.map(w => '-'.repeat(w)).join('  ')].concat(rows.map(line))
+}
+
+function markdownTable(heading, rows) {
+   const escape = cell => `${cell}`.replace(/\|/g, '\\|')
+   const align = heading.map((_, i) => (i === 0 || i === heading.length - 1) ? '---' : '---:')
+   return [heading, align].concat(rows).map(row => `| ${row.map(escape).join(' | ')} |`)
+}
@@ -0,0 +1,51 @@
+/*
+   Serves recorded Matchplay API responses as a local stand-in for Matchplay.Events, so the
+   whole pipeline can run without network access. Record the fixtures with
+   MATCHPLAY_FIXTURES=record, then point MATCHPLAY_URL at this server. --fail makes the first
+   requests for each fixture fail with a 429 and a Retry-After, to exercise retries.
+
+   usage: node fixture-server.js --dir ./fixtures --port 3999
+          MATCHPLAY_URL=http://localhost:3999/api/ MATCHPLAY_API_TOKEN=test node state.js --tournament 220902
+*/
+
+const fs = require('fs')
+const http = require('http')
+const path = require('path')
+const { program } = require('commander')
+const { fixtureName } = require('./matchplay-api')
+
+program
+   .option('--dir <dir>', 'directory of recorded fixtures', process.env.MATCHPLAY_FIXTURES_DIR || './fixtures')
+   .option('--port <number>', 'port to listen on', '3999')
+   .option('--fail <number>', 'rate limit the first requests for each fixture', '0')
+   .parse()
+
+const options = program.opts()
+const failures = {}
+
+const server = http.createServer((req, res) => {
+   const url = new URL(req.url, 'http://localhost')
+   const name = fixtureName(url.pathname.replace(/^\/(api\/)?/, ''), url.search)
+   const fixturePath = path.join(options.dir, name)
+
+   failures[name] = (failures[name] || 0) + 1
+   if (failures[name] <= parseInt(options.fail, 10)) {
+      res.writeHead(429, { 'Content-Type': 'application/json', 'Retry-After': '1' })
+      res.end(JSON.stringify({ message: 'Too Many Attempts.' }))
+      console.error(`429 ${req.url}`)
+      return
+   }
+   if (!fs.existsSync(fixturePath)) {
+      res.writeHead(404, { 'Content-Type': 'application/json' })
+      res.end(JSON.stringify({ message: `No fixture ${name}` }))
+      console.error(`404 ${req.url}`)
+      return
+   }
+   res.writeHead(200, { 'Content-Type': 'application/json' })
+   res.end(fs.readFileSync(fixturePath))
+   console.error(`200 ${req.url}`)
+})
+
+server.listen(parseInt(options.port, 10), () => {
+   console.error(`Serving fixtures from ${options.dir} at http://localhost:${server.address().port}/api/`)
+})
@@ -0,0 +1,238 @@
+// Match format functions
+//
+// A format says how many games a match lasts and how its winner is decided:
+//    { "type": "bestOf", "games": 7 }   first to win more than half the games
+//    { "type": "fixed", "games": 4 }    exactly that many games, tied matches go to tiebreaker games
+//    { "type": "points", "games": 4, "points": [4, 2, 1, 0] }
+//                                       that many games scored by finishing position,
+//                                       tied totals go to tiebreaker games
+// A plain number is shorthand for best-of-N. The score of a match in progress counts games
+// won, or points for a points format. Groups of more than two players use points formats.
+
+const DEFAULT_FORMAT = { type: 'bestOf', games: 7 }
+const THIRD_PLACE_FORMAT = { type: 'bestOf', games: 3 }
+const IFPA_POINTS = [4, 2, 1, 0]
+const GROUP_FORMAT = { type: 'points', games: 3, points: IFPA_POINTS }
+
+/**
+ * Check a format from a bracket file and fill in its defaults
+ * @param {Object|number} spec - Format object, or a number for best-of-N
+ * @returns {Object} Format with type, games and, for points formats, points
+ */
+function normalizeFormat(spec) {
+   const format = (typeof spec === 'number') ? { type: 'bestOf', games: spec } : { ...spec }
+   if (!['bestOf', 'fixed', 'points'].includes(format.type)) {
+      throw new Error(`Unknown match format type: ${format.type}`)
+   }
+   if (!Number.isInteger(format.games) || format.games < 1) {
+      throw new Error(`Match format must have a positive number of games, not: ${format.games}`)
+   }
+   if (format.type === 'bestOf' && format.games % 2 === 0) {
+      throw new Error(`A best-of match must have an odd number of games, not: ${format.games}`)
+   }
+   if (format.type === 'points') {
+      format.points = format.points || IFPA_POINTS
+      if (!Array.isArray(format.points) || format.points.length < 2) {
+         throw new Error(`Points format must list points for each finishing position`)
+      }
+   }
+   return format
+}
+
+/**
+ * Describe a format for people, e.g. "best of 7"
+ * @param {Object} format - Normalized format
+ * @returns {string} Description
+ */
+function describeFormat(format) {
+   switch (format.type) {
+      case 'bestOf':
+         return `best of ${format.games}`
+      case 'fixed':
+         return `${format.games} games`
+      case 'points':
+         return `${format.games} games, ${format.points.join('-')} points`
+   }
+}
+
+/**
+ * Convert game wins to a score in the units of the format
+ * @param {Object} format - Normalized format
+ * @param {Array<number>} wins - Games won by each of two players
+ * @returns {Array<number>} Score
+ */
+function scoreFromGames(format, wins) {
+   if (format.type === 'points') {
+      return [wins[0] * format.points[0] + wins[1] * format.points[1], wins[1] * format.points[0] + wins[0] * format.points[1]]
+   }
+   return wins.slice()
+}
+
+/**
+ * Number of games played to reach a score
+ * @param {Object} format - Normalized format
+ * @param {Array<number>} score - Score in the units of the format, one entry per player
+ * @returns {number} Games played
+ */
+function gamesPlayed(format, score) {
+   const total = score.reduce((a, b) => a + b, 0)
+   if (format.type === 'points') {
+      return total / format.points.slice(0, score.length).reduce((a, b) => a + b, 0)
+   }
+   return total
+}
+
+/**
+ * Decide a match between two players from its score
+ * @param {Object} format - Normalized format
+ * @param {Array<number>} score - Score in the units of the format
+ * @returns {number} Index of the winning player, or -1 if the match is not decided yet
+ */
+function matchWinner(format, score) {
+   if (format.type === 'bestOf') {
+      const half = format.games / 2
+      return (score[0] > half) ? 0 : (score[1] > half) ? 1 : -1
+   }
+   if (gamesPlayed(format, score) < format.games || score[0] === score[1]) {
+      return -1
+   }
+   return (score[0] > score[1]) ? 0 : 1
+}
+
+/**
+ * Play out a match between two players from its current score
+ * @param {Object} format - Normalized format
+ * @param {number|Function} p - Chance the first player wins a single game, or a function of
+ *    the number of games played so far giving the chance for the next game
+ * @param {Function} rng - Uniform random number generator
+ * @param {Array<number>} score - Current score, [0, 0] for a new match
+ * @returns {number} Index of the winning player
+ */
+function playMatch(format, p, rng, score = [0, 0]) {
+   const gameWin = (format.type === 'points') ? format.points[0] : 1
+   const gameLoss = (format.type === 'points') ? format.points[1] : 0
+   const s = score.slice()
+   const chance = (typeof p === 'function') ? p : () => p
+   var game = gamesPlayed(format, s)
+   var winner = matchWinner(format, s)
+   while (winner < 0) {
+      if (rng() < chance(game++)) {
+         s[0] += gameWin
+         s[1] += gameLoss
+      } else {
+         s[0] += gameLoss
+         s[1] += gameWin
+      }
+      winner = matchWinner(format, s)
+   }
+   return winner
+}
+
+/**
+ * Chance of winning a two-player match in a format, without simulating it
+ * @param {Object} format - Normalized format
+ * @param {number} p - Chance of winning a single game
+ * @returns {number} Chance of winning the match
+ */
+function matchWinProbability(format, p) {
+   const q = 1 - p
+   if (format.type === 'bestOf') {
+      // Win k games before the opponent does.
+      const k = (format.games + 1) / 2
+      var total = 0
+      var ways = 1
+      for (let j = 0; j < k; j++) {
+         total += ways * p ** k * q ** j
+         ways = ways * (k + j) / (j + 1)
+      }
+      return total
+   }
+
+   // Fixed and two-player points formats are decided by games won, a tie by one more game.
+   var win = 0
+   var tie = 0
+   var ways = 1
+   for (let w = 0; w <= format.games; w++) {
+      const chance = ways * p ** w * q ** (format.games - w)
+      if (2 * w > format.games) {
+         win += chance
+      } else if (2 * w === format.games) {
+         tie += chance
+      }
+      ways = ways * (format.games - w) / (w + 1)
+   }
+   return win + tie * p
+}
+
+/**
+ * Finishing order of a single multi-player game. Each remaining place goes to a player with
+ * probability proportional to their strength, which for two players is the Elo win chance.
+ * @param {Array<number>} strengths - Relative strength of each player
+ * @param {Function} rng - Uniform random number generator
+ * @returns {Array<number>} Player indexes in finishing order
+ */
+function playGame(strengths, rng) {
+   const remaining = strengths.map((_, i) => i)
+   const order = []
+   while (remaining.length > 1) {
+      const total = remaining.reduce((sum, i) => sum + strengths[i], 0)
+      var x = rng() * total
+      var pick = remaining.length - 1
+      for (let j = 0; j < remaining.length; j++) {
+         x -= strengths[remaining[j]]
+         if (x < 0) {
+            pick = j
+            break
+         }
+      }
+      order.push(remaining.splice(pick, 1)[0])
+   }
+   order.push(remaining[0])
+   return order
+}
+
+/**
+ * Play out a group on points from its current score. Players tied on points play
+ * tiebreaker games among themselves until their order is settled.
+ * @param {Object} format - Normalized points format
+ * @param {Array<number>} strengths - Relative strength of each player
+ * @param {Function} rng - Uniform random number generator
+ * @param {Array<number>} score - Current points, all zero for a new group
+ * @returns {Array<number>} Player indexes in finishing order
+ */
+function playGroup(format, strengths, rng, score = null) {
+   const points = score ? score.slice() : strengths.map(() => 0)
+   for (let g = gamesPlayed(format, points); g < format.games; g++) {
+      playGame(strengths, rng).forEach((player, place) => {
+         points[player] += format.points[place]
+      })
+   }
+
+   const order = points.map((_, i) => i).sort((a, b) => points[b] - points[a])
+   const settled = []
+   for (let i = 0; i < order.length;) {
+      const tied = order.filter(p => points[p] === points[order[i]])
+      if (tied.length === 1) {
+         settled.push(tied[0])
+      } else {
+         settled.push(...playGame(tied.map(p => strengths[p]), rng).map(j => tied[j]))
+      }
+      i += tied.length
+   }
+   return settled
+}
+
+module.exports = {
+   DEFAULT_FORMAT,
+   GROUP_FORMAT,
+   THIRD_PLACE_FORMAT,
+   describeFormat,
+   gamesPlayed,
+   matchWinProbability,
+   matchWinner,
+   normalizeFormat,
+   playGame,
+   playGroup,
+   playMatch,
+   scoreFromGames
+}
@@ -0,0 +1,33 @@
+/*
+   Writes a standard seeded single-elimination bracket with byes for any field size.
+
+   usage: node generate-bracket.js 20 > data/bracket-20.json
+*/
+
+const { program } = require('commander')
+const { generateBracket } = require('./bracket')
+
+program
+   .argument('<size>', 'number of players in the field')
+   .parse()
+
+try {
+   const bracket = generateBracket(parseInt(program.args[0], 10))
+   console.log(formatBracket(bracket))
+} catch (err) {
+   console.error(`Error: ${err.message}`)
+   process.exit(1)
+}
+
+// Match the layout of the hand-written bracket files, one property per line.
+
+function formatBracket(bracket) {
+   const nodes = Object.keys(bracket).map(k => {
+      const props = Object.keys(bracket[k]).map(p => {
+         const value = JSON.stringify(bracket[k][p]).replace(/,/g, ', ')
+         return `      "${p}": ${value}`
+      })
+      return `   "${k}": {\n${props.join(',\n')}\n   }`
+   })
+   return `{\n${nodes.join(',\n')}\n}`
+}
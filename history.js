@@ -0,0 +1,168 @@
+/*
+   Shows how each player's rating, rd and medal odds moved across the dated snapshots that
+   state.js saves in ./history, as TSV, JSON and an SVG line chart.
+
+   usage: node history.js --field open-field
+          node history.js --tournament 220902 --metric rating --top 8
+   help: node history.js --help
+*/
+
+const fs = require('fs')
+const { program } = require('commander')
+const { readSnapshots } = require('./snapshots')
+
+const METRICS = {
+   gold: { key: 'goldProbability', label: 'Gold probability', percent: true },
+   silver: { key: 'silverProbability', label: 'Silver probability', percent: true },
+   bronze: { key: 'bronzeProbability', label: 'Bronze probability', percent: true },
+   rating: { key: 'rating', label: 'Rating', percent: false },
+   rd: { key: 'rd', label: 'Rating deviation', percent: false }
+}
+const COLORS = ['#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f', '#edc948', '#b07aa1', '#ff9da7', '#9c755f', '#bab0ac']
+const RESULTS_DIR = './results'
+
+program
+   .option('--field <name>', 'field name (e.g. open-field)', 'open-field')
+   .option('--tournament <id>', 'Matchplay tournament ID (overrides --field)')
+   .option('--metric <name>', `value to chart (${Object.keys(METRICS).join(', ')})`, 'gold')
+   .option('--top <number>', 'players to chart, by their latest value', '10')
+   .parse()
+
+const options = program.opts()
+
+main()
+
+function main() {
+   const outputName = options.tournament || options.field
+   const metric = METRICS[options.metric]
+   if (!metric) {
+      console.error(`Error: Unknown metric: ${options.metric} (choose from ${Object.keys(METRICS).join(', ')})`)
+      process.exit(1)
+   }
+   const snapshots = readSnapshots(outputName)
+   if (snapshots.length === 0) {
+      console.error(`Error: No snapshots for ${outputName}, run state.js first`)
+      process.exit(1)
+   }
+   const dates = snapshots.map(s => s.date)
+
+   // Each player's values by date, in the order they appear in the latest snapshot, then
+   // anyone who has dropped out of the field.
+
+   const names = []
+   for (const snapshot of snapshots.slice().reverse()) {
+      for (const p of snapshot.players) {
+         if (!names.includes(p.name)) {
+            names.push(p.name)
+         }
+      }
+   }
+   const players = names.map(name => ({
+      name,
+      history: snapshots.map(s => {
+         const p = s.players.find(q => q.name === name)
+         if (!p) {
+            return null
+         }
+         const { name: _, ...values } = p
+         return { date: s.date, ...values }
+      })
+   }))
+
+   const value = (entry) => entry ? entry[metric.key] : null
+   const latest = player => value(player.history.filter(Boolean).pop())
+   const change = player => {
+      const known = player.history.filter(Boolean)
+      return (known.length > 1) ? Math.round((value(known[known.length - 1]) - value(known[0])) * 1e6) / 1e6 : 0
+   }
+
+   const tsv = [['name'].concat(dates, ['change']).join('\t')].concat(players.map(player =>
+      [player.name].concat(player.history.map(entry => (entry ? value(entry) : '')), [change(player)]).join('\t')))
+
+   const top = players.slice()
+      .sort((a, b) => (latest(b) || 0) - (latest(a) || 0))
+      .slice(0, parseInt(options.top, 10))
+
+   if (!fs.existsSync(RESULTS_DIR)) {
+      fs.mkdirSync(RESULTS_DIR, { recursive: true })
+   }
+   const base = `${RESULTS_DIR}/history-${outputName}-${options.metric}`
+   fs.writeFileSync(`${base}.tsv`, tsv.join('\n') + '\n')
+   fs.writeFileSync(`${base}.json`, JSON.stringify({ source: outputName, metric: options.metric, dates, players }, null, 2) + '\n')
+   fs.writeFileSync(`${base}.svg`, renderChart(`${metric.label}: ${outputName}`, dates, top, value, metric.percent))
+   console.error(`History of ${snapshots.length} snapshots written to ${base}.tsv, ${base}.json and ${base}.svg`)
+}
+
+function escapeXml(text) {
+   return `${text}`.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+}
+
+// A line chart of each player's value over time, with a legend on the right.
+
+function renderChart(title, dates, players, value, percent) {
+   const width = 860
+   const height = 460
+   const margin = { top: 40, right: 220, bottom: 50, left: 60 }
+   const plotWidth = width - margin.left - margin.right
+   const plotHeight = height - margin.top - margin.bottom
+
+   const times = dates.map(d => Date.parse(d))
+   const first = Math.min(...times)
+   const span = Math.max(...times) - first
+   const x = i => margin.left + (span > 0 ? (times[i] - first) / span * plotWidth : plotWidth / 2)
+
+   const values = players.flatMap(p => p.history.map(value)).filter(v => v !== null)
+   var low = percent ? 0 : Math.min(...values)
+   var high = Math.max(...values)
+   if (!(high > low)) {
+      high = low + 1
+   }
+   const pad = percent ? 0 : (high - low) * 0.05
+   low -= pad
+   high += pad
+   const y = v => margin.top + plotHeight - (v - low) / (high - low) * plotHeight
+   const format = v => percent ? `${(v * 100).toFixed(1)}%` : v.toFixed(0)
+
+   const parts = []
+   parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" font-family="sans-serif" font-size="12">`)
+   parts.push(`<rect width="${width}" height="${height}" fill="white"/>`)
+   parts.push(`<text x="${margin.left}" y="24" font-size="16" font-weight="bold">${escapeXml(title)}</text>`)
+
+   for (let t = 0; t <= 5; t++) {
+      const v = low + (high - low) * t / 5
+      parts.push(`<line x1="${margin.left}" x2="${margin.left + plotWidth}" y1="${y(v).toFixed(1)}" y2="${y(v).toFixed(1)}" stroke="#ddd"/>`)
+      parts.push(`<text x="${margin.left - 6}" y="${(y(v) + 4).toFixed(1)}" text-anchor="end">${format(v)}</text>`)
+   }
+   dates.forEach((date, i) => {
+      parts.push(`<text x="${x(i).toFixed(1)}" y="${margin.top + plotHeight + 20}" text-anchor="middle">${escapeXml(date)}</text>`)
+   })
+   parts.push(`<line x1="${margin.left}" x2="${margin.left}" y1="${margin.top}" y2="${margin.top + plotHeight}" stroke="#333"/>`)
+   parts.push(`<line x1="${margin.left}" x2="${margin.left + plotWidth}" y1="${margin.top + plotHeight}" y2="${margin.top + plotHeight}" stroke="#333"/>`)
+
+   players.forEach((player, k) => {
+      const color = COLORS[k % COLORS.length]
+      const points = player.history.map((entry, i) => (entry ? [x(i), y(value(entry))] : null))
+
+      // Break the line where the player is missing from a snapshot.
+      var path = ''
+      var drawing = false
+      for (const point of points) {
+         if (point) {
+            path += `${drawing ? 'L' : 'M'}${point[0].toFixed(1)},${point[1].toFixed(1)} `
+         }
+         drawing = !!point
+      }
+      parts.push(`<path d="${path.trim()}" fill="none" stroke="${color}" stroke-width="2"/>`)
+      for (const point of points.filter(Boolean)) {
+         parts.push(`<circle cx="${point[0].toFixed(1)}" cy="${point[1].toFixed(1)}" r="3" fill="${color}"/>`)
+      }
+
+      const ly = margin.top + 10 + k * 20
+      parts.push(`<line x1="${width - margin.right + 20}" x2="${width - margin.right + 40}" y1="${ly}" y2="${ly}" stroke="${color}" stroke-width="3"/>`)
+      const last = player.history.filter(Boolean).pop()
+      parts.push(`<text x="${width - margin.right + 46}" y="${ly + 4}">${escapeXml(player.name)} ${format(value(last))}</text>`)
+   })
+
+   parts.push('</svg>')
+   return parts.join('\n') + '\n'
+}
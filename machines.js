@@ -0,0 +1,182 @@
+// Machine functions
+//
+// A venue's machines are a TSV with a machine column. A player's strength on a machine is an
+// adjustment in rating points, from a TSV with name, machine and adjustment columns or from the
+// games they played in past Matchplay tournaments. In a two-player match the higher seed picks
+// the machine for the first game and the players alternate after that, each picking the
+// machine not yet played in the match that suits them best relative to their opponent.
+
+const fs = require('fs')
+const { parse } = require('csv-parse/sync')
+const { odds } = require('./models')
+
+// Games on a machine count for as much as this many more games at the player's usual strength,
+// so a few lucky games don't make a player a specialist.
+
+const PRIOR_GAMES = 10
+
+// Rating points per unit of win chance for evenly matched players, the inverse of the slope of
+// the Elo formula at 50%.
+
+const POINTS_PER_WIN = 1600 / Math.log(10)
+
+function readTsv(filename) {
+   return parse(fs.readFileSync(filename, 'utf8'), {
+      columns: true,
+      delimiter: '\t',
+      trim: true
+   })
+}
+
+/**
+ * Read the machines at the venue
+ * @param {string} filename - TSV with a machine column
+ * @returns {Array<string>} Machine names
+ */
+function readMachines(filename) {
+   const machines = readTsv(filename).map(record => record.machine).filter(Boolean)
+   if (machines.length === 0) {
+      throw new Error(`No machines in ${filename}`)
+   }
+   return machines
+}
+
+/**
+ * Read player strengths by machine
+ * @param {string} filename - TSV with name, machine and adjustment columns
+ * @returns {Object} Adjustment in rating points by player name, then machine
+ */
+function readMachineStrengths(filename) {
+   const strengths = {}
+   readTsv(filename).forEach((record, i) => {
+      const adjustment = parseFloat(record.adjustment)
+      if (!record.name || !record.machine || isNaN(adjustment)) {
+         throw new Error(`${filename} row ${i + 1} needs a name, machine and numeric adjustment`)
+      }
+      strengths[record.name] = strengths[record.name] || {}
+      strengths[record.name][record.machine] = adjustment
+   })
+   return strengths
+}
+
+/**
+ * Write player strengths by machine in the format readMachineStrengths reads
+ * @param {string} filename - TSV to write
+ * @param {Object} strengths - Adjustment in rating points by player name, then machine
+ */
+function writeMachineStrengths(filename, strengths) {
+   const lines = ['name\tmachine\tadjustment']
+   for (const name in strengths) {
+      for (const machine in strengths[name]) {
+         lines.push(`${name}\t${machine}\t${strengths[name][machine].toFixed(1)}`)
+      }
+   }
+   fs.writeFileSync(filename, lines.join('\n') + '\n')
+}
+
+/**
+ * Estimate player strengths by machine from finished games. Every pair of field players in a
+ * game counts as a head-to-head result, compared with the chance the Elo formula gives them.
+ * @param {Array<Object>} games - { machine, order } objects, order being player names in
+ *    finishing order
+ * @param {Array<Object>} field - Players with name and rating
+ * @returns {Object} Adjustment in rating points by player name, then machine
+ */
+function machineStrengthsFromGames(games, field) {
+   const ratings = {}
+   for (const player of field) {
+      ratings[player.name] = player.rating
+   }
+
+   // Sum how much better each player did than expected on each machine, and over how many results.
+   const surprise = {}
+   const results = {}
+   function add(name, machine, amount) {
+      surprise[name] = surprise[name] || {}
+      results[name] = results[name] || {}
+      surprise[name][machine] = (surprise[name][machine] || 0) + amount
+      results[name][machine] = (results[name][machine] || 0) + 1
+   }
+   for (const game of games) {
+      const order = game.order.filter(name => name in ratings)
+      for (let i = 0; i < order.length; i++) {
+         for (let j = i + 1; j < order.length; j++) {
+            const expected = odds(ratings[order[i]], ratings[order[j]])
+            add(order[i], game.machine, 1 - expected)
+            add(order[j], game.machine, expected - 1)
+         }
+      }
+   }
+
+   const strengths = {}
+   for (const name in surprise) {
+      strengths[name] = {}
+      for (const machine in surprise[name]) {
+         strengths[name][machine] = POINTS_PER_WIN * surprise[name][machine] / (results[name][machine] + PRIOR_GAMES)
+      }
+   }
+   return strengths
+}
+
+/**
+ * Rating adjustments of each player on each machine, for the simulation
+ * @param {Array<Object>} field - Players with name, in seed order
+ * @param {Array<string>} machines - Machine names
+ * @param {Object} strengths - Adjustment in rating points by player name, then machine
+ * @returns {Array<Array<number>>} Adjustment by seed - 1, then machine index
+ */
+function machineAdjustments(field, machines, strengths) {
+   return field.map(player => machines.map(machine => (strengths[player.name] || {})[machine] || 0))
+}
+
+/**
+ * Chance function for a match with machine picks, for playMatch. A match continued from a
+ * score starts with the machines its games so far were played on already used, taken to be
+ * the ones the same picks would have chosen.
+ * @param {Array<number>} adjust1 - First player's adjustment by machine index
+ * @param {Array<number>} adjust2 - Second player's adjustment by machine index
+ * @param {number} first - Index of the player who picks first, 0 or 1
+ * @param {Function} chance - Chance the first player wins a game given their rating offset
+ * @returns {Function} Chance the first player wins a game given the number played so far
+ */
+function machinePicks(adjust1, adjust2, first, chance) {
+   const played = new Array(adjust1.length).fill(false)
+   var left = adjust1.length
+   var next = 0
+
+   // The picker takes the unplayed machine with the biggest edge for them, the first listed on a tie.
+   function pick(game) {
+      if (left === 0) {
+         played.fill(false)
+         left = played.length
+      }
+      const sign = ((game % 2 === 0) === (first === 0)) ? 1 : -1
+      var best = -1
+      for (let m = 0; m < played.length; m++) {
+         if (!played[m] && (best < 0 || sign * (adjust1[m] - adjust2[m]) > sign * (adjust1[best] - adjust2[best]))) {
+            best = m
+         }
+      }
+      played[best] = true
+      left--
+      return best
+   }
+
+   return game => {
+      while (next < game) {
+         pick(next++)
+      }
+      next = game + 1
+      const m = pick(game)
+      return chance(adjust1[m] - adjust2[m])
+   }
+}
+
+module.exports = {
+   machineAdjustments,
+   machinePicks,
+   machineStrengthsFromGames,
+   readMachineStrengths,
+   readMachines,
+   writeMachineStrengths
+}
@@ -1,11 +1,24 @@
 // Matchplay API utility functions
+//
+// Every call goes through one request layer, which spaces requests API_DELAY_MS apart, retries
+// rate limits (429) and server errors (5xx) with exponential backoff or after the server's
+// Retry-After, and shares one response between identical requests made at the same time.
+//
+// Setting MATCHPLAY_FIXTURES=record saves every response in MATCHPLAY_FIXTURES_DIR (./fixtures
+// by default), and MATCHPLAY_FIXTURES=replay answers every request from there without the
+// network. fixture-server.js serves the same files as a local stand-in for Matchplay.
 
 const fs = require('fs')
 const path = require('path')
 
 const MATCHPLAY_URL = process.env.MATCHPLAY_URL || 'https://app.matchplay.events/api/'
 const MATCHPLAY_API_TOKEN = process.env.MATCHPLAY_API_TOKEN
+const FIXTURES_MODE = process.env.MATCHPLAY_FIXTURES || null
+const FIXTURES_DIR = process.env.MATCHPLAY_FIXTURES_DIR || path.join(__dirname, 'fixtures')
 const API_DELAY_MS = 600
+const MAX_RETRIES = 5
+const RETRY_BASE_MS = 1000
+const RETRY_MAX_MS = 60 * 1000
 const CACHE_DIR = path.join(__dirname, '.cache')
 const CACHE_TTL_MS = 24 * 60 * 60 * 1000 // 24 hours
 
@@ -13,6 +26,126 @@ function sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms))
 }
 
+// Requests wait their turn so that they start at least API_DELAY_MS apart.
+
+let lastRequestAt = 0
+let turns = Promise.resolve()
+
+function throttle() {
+    turns = turns.then(async () => {
+        const wait = lastRequestAt + API_DELAY_MS - Date.now()
+        if (wait > 0) {
+            await sleep(wait)
+        }
+        lastRequestAt = Date.now()
+    })
+    return turns
+}
+
+// How long to wait before retrying: the server's Retry-After, in seconds or as a date, or
+// else exponential backoff with some jitter.
+
+function retryDelay(retryAfter, attempt) {
+    if (retryAfter) {
+        const seconds = Number(retryAfter)
+        const ms = isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000
+        if (!isNaN(ms)) {
+            return Math.min(Math.max(ms, 0), RETRY_MAX_MS)
+        }
+    }
+    return Math.min(RETRY_BASE_MS * 2 ** attempt, RETRY_MAX_MS) * (1 + Math.random() / 4)
+}
+
+/**
+ * File name of the fixture for a request
+ * @param {string} pathname - API path, e.g. tournaments/123
+ * @param {string} search - Query string, e.g. ?includePlayers=1
+ * @returns {string} Fixture file name
+ */
+function fixtureName(pathname, search = '') {
+    return `${pathname}${search}`.replace(/[^A-Za-z0-9]+/g, '_').replace(/^_|_$/g, '') + '.json'
+}
+
+async function fetchWithRetry(url) {
+    const headers = {
+        'Authorization': `Bearer ${MATCHPLAY_API_TOKEN}`,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+    }
+
+    for (let attempt = 0; ; attempt++) {
+        await throttle()
+        const timestamp = new Date().toISOString()
+        console.error(`[${timestamp}] API: GET ${url.toString()}`)
+
+        let response
+        try {
+            response = await fetch(url, { method: 'GET', headers })
+        } catch (error) {
+            if (attempt >= MAX_RETRIES) {
+                throw new Error(`Matchplay API request failed: ${error.message}`)
+            }
+            const delay = retryDelay(null, attempt)
+            console.error(`Warning: Matchplay API request failed (${error.message}), retrying in ${Math.round(delay)} ms`)
+            await sleep(delay)
+            continue
+        }
+
+        if (response.ok) {
+            return await response.json()
+        }
+        const errorText = await response.text()
+        if ((response.status === 429 || response.status >= 500) && attempt < MAX_RETRIES) {
+            const delay = retryDelay(response.headers.get('retry-after'), attempt)
+            console.error(`Warning: Matchplay API error (${response.status}), retrying in ${Math.round(delay)} ms`)
+            await sleep(delay)
+            continue
+        }
+        throw new Error(`Matchplay API error (${response.status}): ${errorText}`)
+    }
+}
+
+const inFlight = new Map()
+
+/**
+ * GET a Matchplay API path, with throttling, retries, coalescing and fixtures
+ * @param {string} pathname - API path, e.g. tournaments/123
+ * @param {Object} params - Query parameters
+ * @returns {Promise<Object>} Response data
+ */
+function request(pathname, params = {}) {
+    const url = new URL(pathname, MATCHPLAY_URL)
+    for (const key in params) {
+        url.searchParams.append(key, params[key])
+    }
+    const name = fixtureName(pathname, url.search)
+    if (inFlight.has(name)) {
+        return inFlight.get(name)
+    }
+
+    const pending = (async () => {
+        const fixturePath = path.join(FIXTURES_DIR, name)
+        if (FIXTURES_MODE === 'replay') {
+            if (!fs.existsSync(fixturePath)) {
+                throw new Error(`No fixture for GET ${pathname}${url.search} (${fixturePath})`)
+            }
+            return JSON.parse(fs.readFileSync(fixturePath, 'utf8'))
+        }
+        if (!MATCHPLAY_API_TOKEN) {
+            throw new Error('MATCHPLAY_API_TOKEN not configured in environment')
+        }
+        const data = await fetchWithRetry(url)
+        if (FIXTURES_MODE === 'record') {
+            fs.mkdirSync(FIXTURES_DIR, { recursive: true })
+            fs.writeFileSync(fixturePath, JSON.stringify(data, null, 2))
+        }
+        return data
+    })()
+    inFlight.set(name, pending)
+    pending.finally(() => inFlight.delete(name)).catch(() => {})
+    return pending
+}
+
 function getCachePath(tournamentId) {
     return path.join(CACHE_DIR, `tournament-${tournamentId}.json`)
 }
@@ -79,40 +212,7 @@ function clearCache(tournamentId = null) {
  * @returns {Promise<Object>} Search results from Matchplay API
  */
 async function searchUsers(query) {
-    if (!MATCHPLAY_API_TOKEN) {
-        throw new Error('MATCHPLAY_API_TOKEN not configured in environment')
-    }
-
-    const url = new URL('search', MATCHPLAY_URL)
-    url.searchParams.append('query', query)
-    url.searchParams.append('type', 'users')
-
-    const headers = {
-        'Authorization': `Bearer ${MATCHPLAY_API_TOKEN}`,
-        'Content-Type': 'application/json',
-        'Accept': 'application/json'
-    }
-
-    try {
-        const timestamp = new Date().toISOString()
-        console.log(`[${timestamp}] 🌐 API CALL: GET ${url.toString()}`)
-
-        const response = await fetch(url, {
-            method: 'GET',
-            headers
-        })
-
-        if (!response.ok) {
-            const errorText = await response.text()
-            throw new Error(`Matchplay API error (${response.status}): ${errorText}`)
-        }
-
-        const data = await response.json()
-        return data
-    } catch (error) {
-        console.error('Error calling Matchplay API:', error)
-        throw error
-    }
+    return request('search', { query, type: 'users' })
 }
 
 /**
@@ -121,44 +221,7 @@ async function searchUsers(query) {
  * @returns {Promise<Object>} User data from Matchplay API
  */
 async function getUserRating(userId) {
-    if (!MATCHPLAY_API_TOKEN) {
-        throw new Error('MATCHPLAY_API_TOKEN not configured in environment')
-    }
-
-    const url = new URL(`users/${userId}`, MATCHPLAY_URL)
-    url.searchParams.append('includeIfpa', '1')
-    url.searchParams.append('includeCounts', '0')
-
-    const headers = {
-        'Authorization': `Bearer ${MATCHPLAY_API_TOKEN}`,
-        'Content-Type': 'application/json',
-        'Accept': 'application/json'
-    }
-
-    try {
-        const timestamp = new Date().toISOString()
-        console.log(`[${timestamp}] 🌐 API CALL: GET ${url.toString()}`)
-
-        const response = await fetch(url, {
-            method: 'GET',
-            headers
-        })
-
-        if (!response.ok) {
-            const errorText = await response.text()
-            throw new Error(`Matchplay API error (${response.status}): ${errorText}`)
-        }
-
-        const data = await response.json()
-
-        // Transform to match the format expected by calling code
-        // The old ratings endpoint returned { rating: {...} }
-        // The new users endpoint returns { user: {...}, rating: {...} }
-        return data
-    } catch (error) {
-        console.error(`Error fetching user data for user ${userId}:`, error)
-        throw error
-    }
+    return request(`users/${userId}`, { includeIfpa: 1, includeCounts: 0 })
 }
 
 /**
@@ -167,91 +230,137 @@ async function getUserRating(userId) {
  * @returns {Promise<Object>} Rating data from Matchplay API
  */
 async function getRatingByIfpaId(ifpaId) {
-    if (!MATCHPLAY_API_TOKEN) {
-        throw new Error('MATCHPLAY_API_TOKEN not configured in environment')
-    }
-
-    const url = new URL(`ratings/ifpa/${ifpaId}`, MATCHPLAY_URL)
-
-    const headers = {
-        'Authorization': `Bearer ${MATCHPLAY_API_TOKEN}`,
-        'Content-Type': 'application/json',
-        'Accept': 'application/json'
-    }
-
-    try {
-        const timestamp = new Date().toISOString()
-        console.log(`[${timestamp}] 🌐 API CALL: GET ${url.toString()}`)
-
-        const response = await fetch(url, {
-            method: 'GET',
-            headers
-        })
-
-        if (!response.ok) {
-            const errorText = await response.text()
-            throw new Error(`Matchplay API error (${response.status}): ${errorText}`)
-        }
-
-        const data = await response.json()
-        return data
-    } catch (error) {
-        console.error(`Error fetching rating for IFPA ID ${ifpaId}:`, error)
-        throw error
-    }
+    return request(`ratings/ifpa/${ifpaId}`)
 }
 
 /**
  * Get tournament information from Matchplay
  * @param {number} tournamentId - Tournament ID
  * @param {boolean} includePlayers - Whether to include players in response
+ * @param {boolean} includeArenas - Whether to include arenas (machines) in response
  * @returns {Promise<Object>} Tournament data from Matchplay API
  */
-async function getTournament(tournamentId, includePlayers = false) {
-    if (!MATCHPLAY_API_TOKEN) {
-        throw new Error('MATCHPLAY_API_TOKEN not configured in environment')
+async function getTournament(tournamentId, includePlayers = false, includeArenas = false) {
+    const params = {}
+    if (includePlayers) {
+        params.includePlayers = 1
+    }
+    if (includeArenas) {
+        params.includeArenas = 1
     }
+    return request(`tournaments/${tournamentId}`, params)
+}
 
-    const url = new URL(`tournaments/${tournamentId}`, MATCHPLAY_URL)
-    if (includePlayers) {
-        url.searchParams.append('includePlayers', '1')
+/**
+ * Get the games played so far in a tournament from Matchplay
+ * @param {number} tournamentId - Tournament ID
+ * @returns {Promise<Object>} Games data from Matchplay API
+ */
+async function getTournamentGames(tournamentId) {
+    return request(`tournaments/${tournamentId}/games`)
+}
+
+/**
+ * Get the completed two-player games of a tournament in terms of seeds, in the order they
+ * were played. Never cached, since results change while the tournament is in progress.
+ * @param {number} tournamentId - Tournament ID
+ * @returns {Promise<Array>} Array of { seeds: [s1, s2], winner } objects
+ */
+async function getCompletedGames(tournamentId) {
+    const tournament = await getTournament(tournamentId, true)
+    const seeds = {}
+    for (const player of tournament.data.players) {
+        seeds[player.playerId] = player.tournamentPlayer.seed + 1
     }
 
-    const headers = {
-        'Authorization': `Bearer ${MATCHPLAY_API_TOKEN}`,
-        'Content-Type': 'application/json',
-        'Accept': 'application/json'
+    const games = await getTournamentGames(tournamentId)
+
+    return games.data
+        .filter(game => game.status === 'completed' && game.playerIds.length === 2)
+        .filter(game => game.resultPositions && game.resultPositions.length > 0)
+        .sort((a, b) => a.gameId - b.gameId)
+        .map(game => ({
+            seeds: game.playerIds.map(id => seeds[id]),
+            winner: seeds[game.resultPositions[0]]
+        }))
+}
+
+/**
+ * Get the completed games of a tournament with the machine each was played on
+ * @param {number} tournamentId - Tournament ID
+ * @returns {Promise<Array>} Array of { machine, order } objects, order being player names in finishing order
+ */
+async function getMachineGames(tournamentId) {
+    const tournament = await getTournament(tournamentId, true, true)
+    const names = {}
+    for (const player of tournament.data.players) {
+        names[player.playerId] = player.name
+    }
+    const machines = {}
+    for (const arena of tournament.data.arenas || []) {
+        machines[arena.arenaId] = arena.name
     }
 
-    try {
-        const timestamp = new Date().toISOString()
-        console.error(`[${timestamp}] API: GET ${url.toString()}`)
+    const games = await getTournamentGames(tournamentId)
 
-        const response = await fetch(url, {
-            method: 'GET',
-            headers
-        })
+    return games.data
+        .filter(game => game.status === 'completed' && game.arenaId in machines)
+        .filter(game => game.resultPositions && game.resultPositions.length > 1)
+        .map(game => ({
+            machine: machines[game.arenaId],
+            order: game.resultPositions.map(id => names[id])
+        }))
+}
 
-        if (!response.ok) {
-            const errorText = await response.text()
-            throw new Error(`Matchplay API error (${response.status}): ${errorText}`)
+/**
+ * Refresh the ratings of players with IFPA IDs from Matchplay
+ * @param {Array<Object>} players - Players with name, and ifpaId when known
+ * @param {boolean} strict - Fail instead of keeping a player's rating when a request fails
+ * @returns {Promise<Array>} Copies of the players with rating and rd from Matchplay where found,
+ *    their own rating and rd otherwise, or defaults when they have neither
+ */
+async function getRatingsByIfpaId(players, strict = false) {
+    return Promise.all(players.map(async player => {
+        let rating = null
+        let rd = null
+        if (player.ifpaId) {
+            try {
+                const ratingData = await getRatingByIfpaId(player.ifpaId)
+                if (ratingData.rating) {
+                    rating = ratingData.rating.rating
+                    rd = ratingData.rating.rd
+                }
+            } catch (error) {
+                if (strict) {
+                    throw new Error(`Could not fetch rating for ${player.name}: ${error.message}`)
+                }
+                console.error(`Warning: Could not fetch rating for ${player.name}:`, error.message)
+            }
         }
 
-        const data = await response.json()
-        return data
-    } catch (error) {
-        console.error(`Error fetching tournament ${tournamentId}:`, error)
-        throw error
-    }
+        if (rating === null || rd === null) {
+            if (player.rating > 0 && player.rd > 0) {
+                rating = player.rating
+                rd = player.rd
+            } else {
+                console.error(`Warning: No rating found for ${player.name}, using defaults`)
+                rating = 1500
+                rd = 350
+            }
+        }
+        return { ...player, rating, rd }
+    }))
 }
 
 /**
- * Get tournament field with ratings from Matchplay
+ * Get tournament field with ratings from Matchplay. A field with any failed rating request
+ * is not cached, so the next run tries again.
  * @param {number} tournamentId - Tournament ID
  * @param {boolean} skipCache - Skip cache and fetch fresh data
- * @returns {Promise<Array>} Array of player objects with name, seed, rating, rd
+ * @param {boolean} strict - Fail instead of using a default rating when a request fails
+ * @returns {Promise<Array>} Array of player objects with name, seed, rating, rd, and ifpaRating when known
  */
-async function getTournamentField(tournamentId, skipCache = false) {
+async function getTournamentField(tournamentId, skipCache = false, strict = false) {
     if (!skipCache) {
         const cached = readCache(tournamentId)
         if (cached) {
@@ -262,18 +371,16 @@ async function getTournamentField(tournamentId, skipCache = false) {
     const tournament = await getTournament(tournamentId, true)
     const players = tournament.data.players
 
-    const field = []
-    for (let i = 0; i < players.length; i++) {
-        const player = players[i]
+    let failed = 0
+    const field = await Promise.all(players.map(async player => {
         const name = player.name
         const ifpaId = player.ifpaId
         const matchplayId = player.claimedBy
         const seed = player.tournamentPlayer.seed + 1
 
-        await sleep(API_DELAY_MS)
-
         let rating = null
         let rd = null
+        let ifpaRating = null
 
         try {
             if (matchplayId) {
@@ -282,6 +389,9 @@ async function getTournamentField(tournamentId, skipCache = false) {
                     rating = userData.rating.rating
                     rd = userData.rating.rd
                 }
+                if (userData.ifpa && userData.ifpa.rating) {
+                    ifpaRating = userData.ifpa.rating
+                }
             } else if (ifpaId) {
                 const ratingData = await getRatingByIfpaId(ifpaId)
                 if (ratingData.rating) {
@@ -290,6 +400,10 @@ async function getTournamentField(tournamentId, skipCache = false) {
                 }
             }
         } catch (error) {
+            if (strict) {
+                throw new Error(`Could not fetch rating for ${name}: ${error.message}`)
+            }
+            failed++
             console.error(`Warning: Could not fetch rating for ${name}:`, error.message)
         }
 
@@ -299,14 +413,22 @@ async function getTournamentField(tournamentId, skipCache = false) {
             rd = 350
         }
 
-        field.push({ name, seed, rating, rd })
+        const entry = { name, seed, rating, rd }
+        if (ifpaRating !== null) {
+            entry.ifpaRating = ifpaRating
+        }
         console.error(`Loaded: ${name} (seed ${seed}, rating ${rating}, rd ${rd})`)
-    }
+        return entry
+    }))
 
     // Sort by seed so field[0] is seed 1, field[1] is seed 2, etc.
     field.sort((a, b) => a.seed - b.seed)
 
-    writeCache(tournamentId, field)
+    if (failed > 0) {
+        console.error(`Warning: ${failed} rating requests failed, not caching tournament ${tournamentId}`)
+    } else {
+        writeCache(tournamentId, field)
+    }
     return field
 }
 
@@ -314,7 +436,12 @@ module.exports = {
     searchUsers,
     getUserRating,
     getRatingByIfpaId,
+    getRatingsByIfpaId,
     getTournament,
+    getTournamentGames,
+    getCompletedGames,
+    getMachineGames,
     getTournamentField,
-    clearCache
+    clearCache,
+    fixtureName
 }
@@ -0,0 +1,109 @@
+// Win probability models
+//
+// A model turns two players' ratings into the chance the first wins a single game of a match,
+// given an offset in rating points for the machine being played, and a group's ratings into
+// relative strengths for multi-player games:
+//    elo-sampled  draws each player's rating from normal(rating, rd) for every match, then
+//                 uses the Elo formula (the default)
+//    glicko       Glicko expected score, which shrinks the rating difference by g(RD) for the
+//                 combined rating deviation instead of sampling
+//    elo          Elo formula on the ratings as they are, ignoring rd
+//    ifpa         Elo formula on each player's IFPA rating (the ifpaRating field), falling
+//                 back to the Matchplay rating for players without one
+// Players are objects with rating, rd and optionally ifpaRating.
+
+const DEFAULT_MODEL = 'elo-sampled'
+const Q = Math.log(10) / 400
+
+// Use the ELO formula for computing win percentage from ELO rating.
+
+function odds(r1, r2) {
+   return 1.0 / (1 + 10 ** (-(r1 - r2) / 400))
+}
+
+// Relative strength for multi-player games, consistent with odds() for two players.
+
+function strength(r) {
+   return 10 ** ((r - 1500) / 400)
+}
+
+// Glicko attenuation of a rating difference for a rating deviation.
+
+function g(rd) {
+   return 1 / Math.sqrt(1 + 3 * Q * Q * rd * rd / (Math.PI * Math.PI))
+}
+
+// Average a function of the single game win chance over both players' rating uncertainty,
+// the way elo-sampled draws a rating for each player in each match.
+
+function expectedOverRatings(p1, p2, fn) {
+   const sigma = Math.sqrt(p1.rd ** 2 + p2.rd ** 2)
+   if (!(sigma > 0)) {
+      return fn(odds(p1.rating, p2.rating))
+   }
+
+   // Simpson's rule over the normal distribution of the rating difference, out to 6 sigma.
+   const steps = 240
+   const h = 12 / steps
+   var total = 0
+   for (var i = 0; i <= steps; i++) {
+      const z = -6 + i * h
+      const weight = (i == 0 || i == steps) ? 1 : (i % 2 == 1) ? 4 : 2
+      const density = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI)
+      total += weight * density * fn(odds(p1.rating + z * sigma, p2.rating))
+   }
+   return total * h / 3
+}
+
+// A model with fixed ratings: the Elo formula on rating(player), with every rating
+// difference scaled by scale(players).
+
+function fixedModel(rating, scale = () => 1) {
+   const matchup = (p1, p2) => {
+      const k = scale([p1, p2])
+      return offset => odds(k * (rating(p1) + offset), k * rating(p2))
+   }
+   return {
+      matchup,
+      groupStrengths: players => players.map(p => strength(1500 + scale(players) * (rating(p) - 1500))),
+      expected: (p1, p2, fn) => fn(matchup(p1, p2)(0))
+   }
+}
+
+const MODELS = {
+   'elo-sampled': {
+      matchup: (p1, p2, ratingRng) => {
+         var r1 = ratingRng(p1.rating, p1.rd)
+         var r2 = ratingRng(p2.rating, p2.rd)
+         return offset => odds(r1 + offset, r2)
+      },
+      groupStrengths: (players, ratingRng) => players.map(p => strength(ratingRng(p.rating, p.rd))),
+      expected: expectedOverRatings
+   },
+   // For a group, the root mean square rd of the group stands in for each pair's, which is
+   // exact for two players.
+   glicko: fixedModel(p => p.rating, players => g(Math.sqrt(2 * players.reduce((sum, p) => sum + p.rd ** 2, 0) / players.length))),
+   elo: fixedModel(p => p.rating),
+   ifpa: fixedModel(p => (p.ifpaRating > 0) ? p.ifpaRating : p.rating)
+}
+
+/**
+ * Look up a win probability model by name
+ * @param {string} name - One of elo-sampled, glicko, elo or ifpa
+ * @returns {Object} matchup(p1, p2, ratingRng) for a function giving the chance the first
+ *    player wins a game of a match with a rating offset for the machine, groupStrengths(players,
+ *    ratingRng), and expected(p1, p2, fn) for the average of fn over the single game win chance
+ */
+function getModel(name = DEFAULT_MODEL) {
+   if (!(name in MODELS)) {
+      throw new Error(`Unknown model: ${name} (choose from ${Object.keys(MODELS).join(', ')})`)
+   }
+   return MODELS[name]
+}
+
+module.exports = {
+   DEFAULT_MODEL,
+   MODEL_NAMES: Object.keys(MODELS),
+   getModel,
+   odds
+}
@@ -0,0 +1,517 @@
+/*
+   Scores a bracket pool (pick'em) for the state final against simulated brackets: each
+   entry's expected score and chance of winning the pool, with ties split, under a points
+   system by round or by match. It also recommends an entry, the one with the best expected
+   score or the best chance of winning against the entries already in the pool.
+
+   Entries are JSON, picks by match with a player's name or seed:
+      { "entries": [ { "name": "Alice", "picks": { "w2": "Max Davidoff", "w17": 1, ... } } ] }
+   or a CSV with entry, match and pick columns, one row per pick. An entry may leave matches
+   out, but a pick must be able to reach its match given the entry's earlier picks.
+
+   Points are 1 for a first round match, doubling each round, unless a scoring JSON file says
+   otherwise: { "rounds": { "1": 1, "2": 2, "3": 3 }, "matches": { "w31": 10 } }
+
+   usage: node pool.js --entries pool.json
+          node pool.js --entries pool.csv --scoring scoring.json --optimize score
+   help: node pool.js --help
+*/
+
+require('dotenv').config()
+const fs = require('fs')
+const { parse } = require('csv-parse/sync')
+const { program } = require('commander')
+const { getCompletedGames } = require('./matchplay-api')
+const { loadField, prepareBracket } = require('./championship')
+const { DEFAULT_MODEL, MODEL_NAMES } = require('./models')
+const { createSimulator, parseSeed } = require('./simulate')
+
+const RESULTS_DIR = './results'
+const GOALS = ['win', 'score']
+
+// How many of the likeliest champions, and opponents in the final, to build candidate
+// entries around when looking for the best chance of winning.
+
+const FINALISTS = 5
+
+program
+   .requiredOption('--entries <file>', 'pool entries, JSON or CSV')
+   .option('--scoring <file>', 'JSON points by round or match (default: 1, doubling each round)')
+   .option('--optimize <goal>', `recommend the entry with the best chance to win or expected score (${GOALS.join(', ')})`, 'win')
+   .option('--field <name>', 'field name (e.g. open-field)', 'open-field')
+   .option('--tournament <id>', 'Matchplay tournament ID (overrides --field)')
+   .option('--bracket <file>', 'bracket JSON file (default: data/bracket-N.json, generated if missing)')
+   .option('--live', 'fix matches already completed in the Matchplay tournament to their winners')
+   .option('--iterations <number>', 'number of simulated brackets', '100000')
+   .option('--seed <number>', 'random seed', '42')
+   .option('--model <name>', `win probability model (${MODEL_NAMES.join(', ')})`, DEFAULT_MODEL)
+   .parse()
+
+const options = program.opts()
+
+main()
+
+async function main() {
+   if (!MODEL_NAMES.includes(options.model)) {
+      console.error(`Error: Unknown model: ${options.model} (choose from ${MODEL_NAMES.join(', ')})`)
+      process.exit(1)
+   }
+   if (!GOALS.includes(options.optimize)) {
+      console.error(`Error: Unknown goal: ${options.optimize} (choose from ${GOALS.join(', ')})`)
+      process.exit(1)
+   }
+   if (options.live && !options.tournament) {
+      console.error('Error: --live requires --tournament')
+      process.exit(1)
+   }
+   var seed
+   try {
+      seed = parseSeed(options.seed)
+   } catch (err) {
+      console.error(`Error: ${err.message}`)
+      process.exit(1)
+   }
+
+   const outputName = options.tournament || options.field
+   var field
+   try {
+      field = await loadField({ tournament: options.tournament, field: options.field })
+   } catch (err) {
+      console.error(`Error: ${err.message}`)
+      process.exit(1)
+   }
+
+   var bracket
+   try {
+      const games = options.live ? await getCompletedGames(parseInt(options.tournament, 10)) : null
+      bracket = prepareBracket(field.length, options.bracket || null, { games })
+   } catch (err) {
+      console.error(`Error: ${err.message}`)
+      process.exit(2)
+   }
+   const { template, structure, inProgress } = bracket
+   const blocked = structure.matchKeys.find(k => template[k].group || template[k].loserFeeds)
+   if (blocked) {
+      console.error(`Error: Pools need a single elimination bracket, but ${blocked} is ${template[blocked].group ? 'a group' : 'a double elimination match'}`)
+      process.exit(2)
+   }
+   const graph = bracketGraph(template, structure)
+
+   var points
+   var entries
+   try {
+      points = readScoring(options.scoring, template, structure)
+      entries = readEntries(options.entries, field, structure.matchKeys)
+   } catch (err) {
+      console.error(`Error: ${err.message}`)
+      process.exit(1)
+   }
+   const problems = entries.flatMap(entry => checkPicks(entry, graph, field))
+   if (problems.length > 0) {
+      console.error('Error: Invalid entries:')
+      problems.forEach(problem => console.error(`   ${problem}`))
+      process.exit(1)
+   }
+
+   // Simulate, keeping every bracket's match winners to score the entries against.
+
+   const iterations = parseInt(options.iterations, 10)
+   const m = structure.matchKeys.length
+   const brackets = new Int16Array(iterations * m)
+   var count = 0
+   const simulator = createSimulator({
+      field,
+      bracket: template,
+      structure,
+      inProgress,
+      model: options.model,
+      seed,
+      observe: winners => {
+         brackets.set(winners, count * m)
+         count++
+      }
+   })
+   console.error(`Simulating ${iterations} brackets...`)
+   simulator.run(iterations)
+   const sims = { brackets, iterations, m }
+
+   const scored = scoreEntries(entries, points, sims)
+   const recommended = recommend(entries, scored, points, graph, field, sims)
+
+   printPool(entries, scored, recommended, field, structure)
+   writePool(outputName, entries, scored, recommended, points, field, structure, iterations)
+}
+
+// Where each match's players come from: for each slot, a fixed seed's entrant or the match
+// whose winner fills it, by match index in matchKeys order.
+
+function bracketGraph(template, structure) {
+   const keys = structure.matchKeys
+   const index = Object.fromEntries(keys.map((k, j) => [k, j]))
+   const sources = keys.map(k => template[k].players.map(s => (s > 0) ? { entrant: s - 1 } : null))
+   keys.forEach((k, j) => {
+      const feed = structure.outcomes[k][0].feed
+      if (feed && feed[0] in index) {
+         sources[index[feed[0]]][feed[1]] = { match: j }
+      }
+   })
+
+   // Matches already decided keep their winner in every simulated bracket, so the players
+   // who can win each match follow from its sources.
+
+   const reach = []
+   keys.forEach((k, j) => {
+      const players = new Set()
+      if (template[k].winner) {
+         players.add(template[k].winner - 1)
+      } else {
+         for (const source of sources[j]) {
+            if (source && 'entrant' in source) {
+               players.add(source.entrant)
+            } else if (source) {
+               reach[source.match].forEach(e => players.add(e))
+            }
+         }
+      }
+      reach.push(players)
+   })
+   return { keys, index, sources, reach, finalMatch: index[structure.finalKey] }
+}
+
+// Points for a correct pick in each match, by match index.
+
+function readScoring(filename, template, structure) {
+   const spec = filename ? JSON.parse(fs.readFileSync(filename, 'utf8')) : {}
+   const rounds = spec.rounds || {}
+   const matches = spec.matches || {}
+   for (const k in matches) {
+      if (!structure.matchKeys.includes(k)) {
+         throw new Error(`Scoring names unknown match ${k}`)
+      }
+   }
+   const first = Math.min(...structure.matchKeys.map(k => template[k].round))
+   return structure.matchKeys.map(k => {
+      const round = template[k].round
+      const value = (k in matches) ? matches[k] : (round in rounds) ? rounds[round] : Math.pow(2, round - first)
+      if (typeof value !== 'number' || !(value >= 0)) {
+         throw new Error(`Points for ${k} must be a number of 0 or more, not: ${JSON.stringify(value)}`)
+      }
+      return value
+   })
+}
+
+// Read the entries, with each pick as the entrant's index in the field (seed - 1), or -1
+// where the entry makes no pick.
+
+function readEntries(filename, field, keys) {
+   var list
+   if (filename.endsWith('.json')) {
+      const spec = JSON.parse(fs.readFileSync(filename, 'utf8'))
+      list = Array.isArray(spec) ? spec : spec.entries
+      if (!Array.isArray(list)) {
+         throw new Error(`${filename} must list entries`)
+      }
+   } else {
+      const records = parse(fs.readFileSync(filename, 'utf8'), { columns: true, trim: true, skip_empty_lines: true })
+      list = []
+      for (const record of records) {
+         var entry = list.find(e => e.name === record.entry)
+         if (!entry) {
+            entry = { name: record.entry, picks: {} }
+            list.push(entry)
+         }
+         entry.picks[record.match] = record.pick
+      }
+   }
+   if (list.length === 0) {
+      throw new Error(`${filename} has no entries`)
+   }
+
+   const names = new Set()
+   return list.map((e, i) => {
+      const name = `${e.name || `entry ${i + 1}`}`
+      if (names.has(name)) {
+         throw new Error(`Entry names must be different, found ${name} twice`)
+      }
+      names.add(name)
+      const picks = new Int16Array(keys.length).fill(-1)
+      for (const [k, who] of Object.entries(e.picks || {})) {
+         if (!keys.includes(k)) {
+            throw new Error(`Entry ${name} picks unknown match ${k}`)
+         }
+         picks[keys.indexOf(k)] = resolvePick(name, k, who, field)
+      }
+      return { name, picks }
+   })
+}
+
+function resolvePick(name, k, who, field) {
+   const text = `${who}`.trim()
+   var i = /^\d+$/.test(text) ? parseInt(text, 10) - 1 : field.findIndex(p => p.name === text)
+   if (i < 0) {
+      i = field.findIndex(p => p.name.toLowerCase() === text.toLowerCase())
+   }
+   if (!(i >= 0 && i < field.length)) {
+      throw new Error(`Entry ${name} picks ${who} to win ${k}, who is not in the field`)
+   }
+   return i
+}
+
+// A pick must be a player who can reach the match, and who the entry picked to win the
+// match that brings them there.
+
+function checkPicks(entry, graph, field) {
+   const problems = []
+   entry.picks.forEach((x, j) => {
+      if (x < 0) {
+         return
+      }
+      const k = graph.keys[j]
+      if (!graph.reach[j].has(x)) {
+         problems.push(`${entry.name} picks ${field[x].name} to win ${k}, which they cannot reach`)
+         return
+      }
+      for (const source of graph.sources[j]) {
+         if (source && 'match' in source && graph.reach[source.match].has(x)) {
+            const earlier = entry.picks[source.match]
+            if (earlier >= 0 && earlier !== x) {
+               problems.push(`${entry.name} picks ${field[x].name} to win ${k}, but ${field[earlier].name} to win ${graph.keys[source.match]}`)
+            }
+         }
+      }
+   })
+   return problems
+}
+
+function score(picks, points, brackets, offset) {
+   var total = 0
+   for (var j = 0; j < picks.length; j++) {
+      if (picks[j] === brackets[offset + j]) {
+         total += points[j]
+      }
+   }
+   return total
+}
+
+// Each entry's expected score and chance of winning the pool, with a tie for the top score
+// shared equally, and the best score and number tied for it in each simulated bracket.
+
+function scoreEntries(entries, points, { brackets, iterations, m }) {
+   const totals = entries.map(() => 0)
+   const wins = entries.map(() => 0)
+   const best = new Float64Array(iterations)
+   const tied = new Int32Array(iterations)
+   const scores = new Float64Array(entries.length)
+   for (var it = 0; it < iterations; it++) {
+      var top = -Infinity
+      var ties = 0
+      for (var e = 0; e < entries.length; e++) {
+         scores[e] = score(entries[e].picks, points, brackets, it * m)
+         totals[e] += scores[e]
+         if (scores[e] > top) {
+            top = scores[e]
+            ties = 1
+         } else if (scores[e] === top) {
+            ties++
+         }
+      }
+      for (var e = 0; e < entries.length; e++) {
+         if (scores[e] === top) {
+            wins[e] += 1 / ties
+         }
+      }
+      best[it] = top
+      tied[it] = ties
+   }
+   return {
+      expectedScores: totals.map(t => t / iterations),
+      winProbabilities: wins.map(w => w / iterations),
+      best,
+      tied
+   }
+}
+
+// An extra entry's expected score and chance of winning against the pool.
+
+function scoreAgainst(picks, points, scored, { brackets, iterations, m }) {
+   var total = 0
+   var wins = 0
+   for (var it = 0; it < iterations; it++) {
+      const s = score(picks, points, brackets, it * m)
+      total += s
+      if (s > scored.best[it]) {
+         wins++
+      } else if (s === scored.best[it]) {
+         wins += 1 / (scored.tied[it] + 1)
+      }
+   }
+   return { expectedScore: total / iterations, winProbability: wins / iterations }
+}
+
+// The entry with the best expected score, built match by match from the first round: the
+// best picks for each player winning a match are the best picks that bring them there plus
+// the best picks on the other side. With a champion, and optionally their opponent in the
+// final, the best entry where they get there.
+
+function bestEntry(graph, points, chances, champion = -1, opponent = -1) {
+   const n = chances[0].length
+   const best = []
+   graph.keys.forEach((_, j) => {
+      const values = new Float64Array(n).fill(-Infinity)
+      const sides = graph.sources[j].map(source => sideValues(source, best, n))
+      sides.forEach((side, a) => {
+         const other = sides[1 - a]
+         var otherBest = -Infinity
+         for (var y = 0; y < n; y++) {
+            otherBest = Math.max(otherBest, other[y])
+         }
+         for (var x = 0; x < n; x++) {
+            if (side[x] > -Infinity && graph.reach[j].has(x)) {
+               values[x] = Math.max(values[x], points[j] * chances[j][x] + side[x] + otherBest)
+            }
+         }
+      })
+      best.push(values)
+   })
+
+   const picks = new Int16Array(graph.keys.length).fill(-1)
+   const argmax = values => values.reduce((b, v, i) => (v > values[b]) ? i : b, 0)
+   const pick = (j, x, forced = -1) => {
+      picks[j] = x
+      const sides = graph.sources[j].map(source => sideValues(source, best, n))
+      const a = (sides[0][x] > -Infinity) ? 0 : 1
+      if (graph.sources[j][a] && 'match' in graph.sources[j][a]) {
+         pick(graph.sources[j][a].match, x)
+      }
+      const other = graph.sources[j][1 - a]
+      if (other && 'match' in other) {
+         pick(other.match, (forced >= 0) ? forced : argmax(best[other.match]))
+      }
+   }
+   const finalBest = best[graph.finalMatch]
+   pick(graph.finalMatch, (champion >= 0) ? champion : argmax(finalBest), opponent)
+   return picks
+}
+
+// The best value of each player coming out of one slot of a match.
+
+function sideValues(source, best, n) {
+   const values = new Float64Array(n).fill(-Infinity)
+   if (source && 'entrant' in source) {
+      values[source.entrant] = 0
+   } else if (source) {
+      values.set(best[source.match])
+   }
+   return values
+}
+
+// Candidate entries: the best expected score overall, and for each likely champion, and
+// pairing of likely finalists, the best expected score where they get there. The
+// recommendation is the candidate best at the chosen goal against the entries in the pool.
+
+function recommend(entries, scored, points, graph, field, sims) {
+   const { brackets, iterations, m } = sims
+   const n = field.length
+   const chances = graph.keys.map(() => new Float64Array(n))
+   for (var it = 0; it < iterations; it++) {
+      for (var j = 0; j < m; j++) {
+         chances[j][brackets[it * m + j]] += 1 / iterations
+      }
+   }
+
+   const candidates = [bestEntry(graph, points, chances)]
+   const likeliest = (j, limit) => [...graph.reach[j]].filter(x => chances[j][x] > 0)
+      .sort((a, b) => chances[j][b] - chances[j][a]).slice(0, limit)
+   const finalSources = graph.sources[graph.finalMatch]
+   const finalists = finalSources.map(source => (source && 'match' in source) ? likeliest(source.match, FINALISTS) : [source.entrant])
+   for (const champion of likeliest(graph.finalMatch, n)) {
+      candidates.push(bestEntry(graph, points, chances, champion))
+   }
+   for (const [a, b] of [[0, 1], [1, 0]]) {
+      for (const champion of finalists[a]) {
+         for (const opponent of finalists[b]) {
+            candidates.push(bestEntry(graph, points, chances, champion, opponent))
+         }
+      }
+   }
+
+   const goal = (options.optimize === 'score') ? 'expectedScore' : 'winProbability'
+   var chosen = null
+   for (const picks of candidates) {
+      const result = { picks, ...scoreAgainst(picks, points, scored, sims) }
+      const better = !chosen || result[goal] > chosen[goal] + 1e-12 ||
+         (Math.abs(result[goal] - chosen[goal]) <= 1e-12 && result.expectedScore > chosen.expectedScore)
+      if (better) {
+         chosen = result
+      }
+   }
+   return { ...chosen, goal: options.optimize, candidates: candidates.length }
+}
+
+function percent(p) {
+   return `${(p * 100).toFixed(1)}%`
+}
+
+function champion(picks, structure, field) {
+   const x = picks[structure.matchKeys.indexOf(structure.finalKey)]
+   return (x >= 0) ? field[x].name : ''
+}
+
+function printPool(entries, scored, recommended, field, structure) {
+   const rows = entries.map((e, i) => ({ name: e.name, champion: champion(e.picks, structure, field), expected: scored.expectedScores[i], win: scored.winProbabilities[i] }))
+      .sort((a, b) => b.win - a.win || b.expected - a.expected)
+   rows.push({ name: 'recommended', champion: champion(recommended.picks, structure, field), expected: recommended.expectedScore, win: recommended.winProbability })
+   const width = Math.max(...rows.map(r => r.name.length), 5)
+   const championWidth = Math.max(...rows.map(r => r.champion.length), 8)
+   console.log([
+      'entry'.padEnd(width), 'champion'.padEnd(championWidth), 'expected'.padStart(8), 'win pool'.padStart(8)
+   ].join('  '))
+   for (const r of rows) {
+      console.log([r.name.padEnd(width), r.champion.padEnd(championWidth), r.expected.toFixed(2).padStart(8), percent(r.win).padStart(8)].join('  '))
+   }
+   console.log(`\nThe recommended entry, best ${(recommended.goal === 'score') ? 'expected score' : 'chance to win'} of ${recommended.candidates} candidates, if it joined the pool:`)
+   structure.matchKeys.forEach((k, j) => {
+      console.log(`   ${k}: ${field[recommended.picks[j]].name}`)
+   })
+}
+
+function writePool(outputName, entries, scored, recommended, points, field, structure, iterations) {
+   if (!fs.existsSync(RESULTS_DIR)) {
+      fs.mkdirSync(RESULTS_DIR, { recursive: true })
+   }
+   const keys = structure.matchKeys
+   const picksByMatch = picks => Object.fromEntries(keys.map((k, j) => [k, (picks[j] >= 0) ? field[picks[j]].name : null]))
+   const rows = entries.map((e, i) => ({
+      name: e.name,
+      champion: champion(e.picks, structure, field),
+      expectedScore: scored.expectedScores[i],
+      winProbability: scored.winProbabilities[i],
+      picks: picksByMatch(e.picks)
+   }))
+   const entry = {
+      name: 'recommended',
+      champion: champion(recommended.picks, structure, field),
+      expectedScore: recommended.expectedScore,
+      winProbability: recommended.winProbability,
+      picks: picksByMatch(recommended.picks)
+   }
+
+   const base = `${RESULTS_DIR}/pool-${outputName}`
+   const tsv = [['entry', 'champion', 'expected score', 'win probability'].join('\t')]
+      .concat(rows.concat([entry]).map(r => [r.name, r.champion, r.expectedScore, r.winProbability].join('\t')))
+   fs.writeFileSync(`${base}.tsv`, tsv.join('\n') + '\n')
+   fs.writeFileSync(`${base}.json`, JSON.stringify({
+      generatedAt: new Date().toISOString(),
+      iterations,
+      model: options.model,
+      goal: recommended.goal,
+      points: Object.fromEntries(keys.map((k, j) => [k, points[j]])),
+      entries: rows,
+      recommended: entry
+   }, null, 2) + '\n')
+
+   // The recommended entry in the entries format, ready to submit.
+
+   fs.writeFileSync(`${base}-entry.json`, JSON.stringify({ entries: [{ name: 'recommended', picks: entry.picks }] }, null, 2) + '\n')
+   console.error(`Pool written to ${base}.tsv and ${base}.json, recommended entry to ${base}-entry.json`)
+}
@@ -0,0 +1,210 @@
+// Qualifying functions
+//
+// Qualifying turns a larger list of entrants into the seeded field for the bracket. A
+// qualifying file is JSON in one of three formats:
+//    { "format": "groups", "qualifiers": 24, "rounds": 10, "groupSize": 4,
+//      "points": { "4": [4, 2, 1, 0], "3": [3, 1, 0] } }
+//       rounds of randomly drawn groups playing one game each, scored by finishing position.
+//       Groups are smaller when the entrants don't divide evenly. Entrants start from the
+//       qualifying points they already have.
+//    { "format": "bestGame", "qualifiers": 24, "machines": 6, "attempts": 3, "points": [100, 90, 85] }
+//       each entrant's best of their attempts on each machine counts, and each machine awards
+//       points by rank, one fewer for each place down the list by default.
+//    { "format": "season", "qualifiers": 24, "events": [
+//         { "name": "Spring Classic", "players": 40, "value": 25, "attendance": 0.3 } ] }
+//       the rest of a season of events, each with a number of players, points by finishing
+//       position (either a points list, or a value for the winner falling off linearly to 0),
+//       and the chance each entrant plays in it. The rest of the players are outsiders rated
+//       outsiderRating (1500 by default). Entrants start from their standings points.
+// The top entrants on points are the qualifiers, seeded in order. Ties are broken by
+// tiebreaker games among the tied entrants.
+
+const fs = require('fs')
+const { playGame } = require('./formats')
+
+const DEFAULT_GROUP_POINTS = { 2: [1, 0], 3: [3, 1, 0], 4: [4, 2, 1, 0] }
+
+// Sizes of the groups for one round, as even as possible and no bigger than size.
+
+function groupSizes(entrants, size) {
+   const groups = Math.ceil(entrants / size)
+   const full = entrants - groups * (size - 1)
+   return Array.from({ length: groups }, (_, i) => (i < full) ? size : size - 1)
+}
+
+function positiveInteger(spec, key, fallback) {
+   const value = (spec[key] === undefined) ? fallback : spec[key]
+   if (!Number.isInteger(value) || value < 1) {
+      throw new Error(`Qualifying ${key} must be a positive whole number, not: ${value}`)
+   }
+   return value
+}
+
+/**
+ * Check a qualifying format and fill in its defaults
+ * @param {Object} spec - Qualifying format from a qualifying file
+ * @param {number} entrants - Number of entrants
+ * @returns {Object} Qualifying format
+ */
+function normalizeQualifying(spec, entrants) {
+   const qualifying = { format: spec.format, qualifiers: positiveInteger(spec, 'qualifiers') }
+   if (qualifying.qualifiers < 2 || qualifying.qualifiers > entrants) {
+      throw new Error(`Cannot qualify ${qualifying.qualifiers} players from ${entrants} entrants`)
+   }
+   if (spec.format === 'groups') {
+      qualifying.rounds = positiveInteger(spec, 'rounds')
+      qualifying.groupSize = positiveInteger(spec, 'groupSize', 4)
+      qualifying.points = { ...DEFAULT_GROUP_POINTS, ...spec.points }
+      for (const size of new Set(groupSizes(entrants, qualifying.groupSize))) {
+         const points = qualifying.points[size]
+         if (!Array.isArray(points) || points.length !== size) {
+            throw new Error(`Qualifying groups of ${size} need ${size} points, one for each finishing position`)
+         }
+      }
+   } else if (spec.format === 'bestGame') {
+      qualifying.machines = positiveInteger(spec, 'machines')
+      qualifying.attempts = positiveInteger(spec, 'attempts', 1)
+      qualifying.points = spec.points || Array.from({ length: entrants }, (_, i) => entrants - i)
+      if (!Array.isArray(qualifying.points)) {
+         throw new Error('Best game qualifying points must be a list by rank')
+      }
+   } else if (spec.format === 'season') {
+      if (!Array.isArray(spec.events) || spec.events.length === 0) {
+         throw new Error('Season qualifying needs a list of events')
+      }
+      qualifying.outsiderRating = (spec.outsiderRating === undefined) ? 1500 : spec.outsiderRating
+      qualifying.events = spec.events.map((event, i) => normalizeEvent(event, i))
+   } else {
+      throw new Error(`Unknown qualifying format: ${spec.format}`)
+   }
+   return qualifying
+}
+
+function normalizeEvent(event, index) {
+   const name = event.name || `event ${index + 1}`
+   const players = positiveInteger(event, 'players')
+   const attendance = (event.attendance === undefined) ? 0.5 : event.attendance
+   if (!(attendance >= 0 && attendance <= 1)) {
+      throw new Error(`Attendance for ${name} must be a chance between 0 and 1, not: ${attendance}`)
+   }
+   var points = event.points
+   if (!points) {
+      if (!(event.value > 0)) {
+         throw new Error(`${name} needs points by finishing position or a value`)
+      }
+      points = Array.from({ length: players }, (_, p) => event.value * (players - p) / players)
+   } else if (!Array.isArray(points)) {
+      throw new Error(`Points for ${name} must be a list by finishing position`)
+   }
+   return { name, players, attendance, points }
+}
+
+/**
+ * Read a qualifying file
+ * @param {string} filename - Qualifying JSON file
+ * @param {number} entrants - Number of entrants
+ * @returns {Object} Qualifying format
+ */
+function readQualifying(filename, entrants) {
+   return normalizeQualifying(JSON.parse(fs.readFileSync(filename, 'utf8')), entrants)
+}
+
+// Play one round of random groups, adding each entrant's points.
+
+function playGroupRound(qualifying, points, strengthsOf, rng) {
+   const drawn = points.map((_, i) => i)
+   for (let i = drawn.length - 1; i > 0; i--) {
+      const j = Math.floor(rng() * (i + 1))
+      const swap = drawn[i]
+      drawn[i] = drawn[j]
+      drawn[j] = swap
+   }
+   var next = 0
+   for (const size of groupSizes(drawn.length, qualifying.groupSize)) {
+      const group = drawn.slice(next, next + size)
+      next += size
+      playGame(strengthsOf(group), rng).forEach((player, place) => {
+         points[group[player]] += qualifying.points[size][place]
+      })
+   }
+}
+
+// Each entrant's best of their attempts on each machine, ranked for points. A game's score
+// follows a Gumbel distribution around the log of the entrant's strength, so that one entrant
+// outscores another with the same chance the model gives them in a head-to-head game.
+
+function playBestGame(qualifying, points, strengthsOf, rng) {
+   const everyone = points.map((_, i) => i)
+   for (let m = 0; m < qualifying.machines; m++) {
+      const strengths = strengthsOf(everyone)
+      const best = strengths.map(s => {
+         var top = -Infinity
+         for (let a = 0; a < qualifying.attempts; a++) {
+            top = Math.max(top, Math.log(s) - Math.log(-Math.log(rng())))
+         }
+         return top
+      })
+      everyone.slice().sort((a, b) => best[b] - best[a]).forEach((entrant, rank) => {
+         points[entrant] += qualifying.points[rank] || 0
+      })
+   }
+}
+
+// Play the rest of the season's events. The entrants who play an event and its outsiders finish
+// in the order of a single multi-player game, a rough stand-in for the event's format.
+
+function playSeason(qualifying, points, strengthsOf, rng) {
+   const outsider = 10 ** ((qualifying.outsiderRating - 1500) / 400)
+   for (const event of qualifying.events) {
+      const playing = points.map((_, i) => i).filter(() => rng() < event.attendance)
+      const strengths = strengthsOf(playing)
+      while (strengths.length < event.players) {
+         strengths.push(outsider)
+      }
+      playGame(strengths, rng).forEach((player, place) => {
+         if (player < playing.length) {
+            points[playing[player]] += event.points[place] || 0
+         }
+      })
+   }
+}
+
+/**
+ * Play out qualifying
+ * @param {Object} qualifying - Normalized qualifying format
+ * @param {Array<number>} start - Each entrant's qualifying points so far
+ * @param {Function} strengthsOf - Relative strengths of a list of entrant indexes for a game
+ * @param {Function} rng - Uniform random number generator
+ * @returns {Array<number>} Entrant indexes in final standings order
+ */
+function playQualifying(qualifying, start, strengthsOf, rng) {
+   const points = start.slice()
+   if (qualifying.format === 'groups') {
+      for (let r = 0; r < qualifying.rounds; r++) {
+         playGroupRound(qualifying, points, strengthsOf, rng)
+      }
+   } else if (qualifying.format === 'bestGame') {
+      playBestGame(qualifying, points, strengthsOf, rng)
+   } else {
+      playSeason(qualifying, points, strengthsOf, rng)
+   }
+
+   const order = points.map((_, i) => i).sort((a, b) => points[b] - points[a])
+   const standings = []
+   for (let i = 0; i < order.length;) {
+      const tied = order.filter(p => points[p] === points[order[i]])
+      if (tied.length === 1) {
+         standings.push(tied[0])
+      } else {
+         standings.push(...playGame(strengthsOf(tied), rng).map(j => tied[j]))
+      }
+      i += tied.length
+   }
+   return standings
+}
+
+module.exports = {
+   normalizeQualifying,
+   playQualifying,
+   readQualifying
+}
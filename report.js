@@ -0,0 +1,231 @@
+/*
+   Turns a results JSON written by state.js into a single HTML page to share: a sortable table
+   of each player's rating, rd, round-advance and medal odds, coloured as a heat map, and the
+   bracket with the players most likely to reach each slot. The page has no external assets,
+   so it works offline.
+
+   usage: node report.js results/results-open-field.json
+          node report.js results/results-open-field.json --output open-field.html
+   help: node report.js --help
+*/
+
+const fs = require('fs')
+const path = require('path')
+const { program } = require('commander')
+const { analyzeBracket, loadBracket } = require('./bracket')
+
+program
+   .argument('<results>', 'results JSON written by state.js')
+   .option('--output <file>', 'HTML file to write (default: the results file with .html)')
+   .option('--title <text>', 'page title (default: from the results source)')
+   .parse()
+
+const options = program.opts()
+
+// Clicking a heading sorts by that column, numerically where the values are numbers, and
+// clicking it again reverses the order.
+
+const SORT_SCRIPT = `
+document.querySelectorAll('#odds th').forEach(function (th) {
+   th.addEventListener('click', function () {
+      var table = document.getElementById('odds')
+      var body = table.tBodies[0]
+      var column = parseInt(th.dataset.column, 10)
+      var descending = th.dataset.order !== 'desc'
+      table.querySelectorAll('th').forEach(function (other) { delete other.dataset.order })
+      th.dataset.order = descending ? 'desc' : 'asc'
+      var rows = Array.prototype.slice.call(body.rows)
+      rows.sort(function (a, b) {
+         var x = a.cells[column].dataset.value
+         var y = b.cells[column].dataset.value
+         var nx = parseFloat(x)
+         var ny = parseFloat(y)
+         var order = (isNaN(nx) || isNaN(ny)) ? x.localeCompare(y) : nx - ny
+         return descending ? -order : order
+      })
+      rows.forEach(function (row) { body.appendChild(row) })
+   })
+})
+`
+
+const STYLE = `
+body { font-family: sans-serif; margin: 2em; color: #111; }
+table { border-collapse: collapse; font-size: 13px; }
+th { cursor: pointer; background: #eee; padding: 4px 8px; user-select: none; }
+th[data-order="desc"]::after { content: " \\25BC"; }
+th[data-order="asc"]::after { content: " \\25B2"; }
+td { padding: 3px 8px; text-align: right; border-bottom: 1px solid #ddd; }
+td:first-child { text-align: left; }
+.bracket { display: flex; gap: 16px; align-items: flex-start; overflow-x: auto; font-size: 12px; }
+.round { min-width: 180px; }
+.round h3 { font-size: 14px; margin: 0 0 8px; }
+.match { border: 1px solid #bbb; border-radius: 4px; margin-bottom: 10px; }
+.key { background: #f4f4f4; padding: 2px 6px; color: #555; }
+.slot { border-top: 1px solid #ddd; }
+.occupant { padding: 2px 6px; white-space: nowrap; }
+.occupant span { float: right; margin-left: 8px; }
+.meta { color: #555; }
+`
+
+main()
+
+function main() {
+   const resultsPath = program.args[0]
+   var data
+   try {
+      data = JSON.parse(fs.readFileSync(resultsPath, 'utf8'))
+   } catch (err) {
+      console.error(`Error: Could not read results ${resultsPath}: ${err.message}`)
+      process.exit(1)
+   }
+
+   // The bracket the results were simulated on: the one named in the results, or the default
+   // for the field size.
+
+   const bracketSize = data.qualifying ? data.qualifying.qualifiers : data.results.length
+   var bracket
+   var structure
+   try {
+      bracket = loadBracket(bracketSize, data.bracket)
+      structure = analyzeBracket(bracket)
+   } catch (err) {
+      console.error(`Error: Invalid bracket: ${err.message}`)
+      process.exit(2)
+   }
+
+   const title = options.title || `State championship odds: ${(data.source || '').replace(/^\w+:/, '')}`
+   const html = renderPage(title, data, bracket, structure)
+   const outputPath = options.output || path.join(path.dirname(resultsPath), `${path.basename(resultsPath, '.json')}.html`)
+   fs.writeFileSync(outputPath, html)
+   console.error(`Report written to ${outputPath}`)
+}
+
+function escapeHtml(text) {
+   return `${text}`.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+}
+
+function percent(p) {
+   return `${(p * 100).toFixed(1)}%`
+}
+
+// Heat map colour for a probability, darker for likelier.
+
+function heat(p) {
+   const alpha = Math.min(1, Math.sqrt(p))
+   const text = (alpha > 0.6) ? '#fff' : '#111'
+   return `background: rgba(31, 119, 180, ${alpha.toFixed(3)}); color: ${text}`
+}
+
+function cell(p) {
+   return `<td data-value="${p}" style="${heat(p)}">${percent(p)}</td>`
+}
+
+function renderTable(data) {
+   const rounds = Object.keys(data.results[0].roundWinProbabilities)
+      .sort((a, b) => parseInt(a.slice(5), 10) - parseInt(b.slice(5), 10))
+   const qualifying = !!data.qualifying
+   const heading = ['Name', 'Seed', 'Rating', 'RD']
+      .concat(qualifying ? ['Qualify', 'Avg seed'] : [])
+      .concat(rounds.map(r => `Win ${r.replace('round', 'R')}`), ['Gold', 'Silver', 'Bronze', 'Avg place'])
+
+   const rows = data.results.map(r => {
+      const cells = [
+         `<td data-value="${escapeHtml(r.name)}">${escapeHtml(r.name)}</td>`,
+         `<td data-value="${r.seed || ''}">${r.seed || ''}</td>`,
+         `<td data-value="${r.rating}">${r.rating}</td>`,
+         `<td data-value="${r.ratingDeviation}">${r.ratingDeviation}</td>`
+      ]
+      if (qualifying) {
+         cells.push(cell(r.qualifyProbability))
+         cells.push(`<td data-value="${r.averageSeed || ''}">${r.averageSeed ? r.averageSeed.toFixed(1) : ''}</td>`)
+      }
+      for (const round of rounds) {
+         cells.push(cell(r.roundWinProbabilities[round]))
+      }
+      cells.push(cell(r.goldProbability), cell(r.silverProbability), cell(r.bronzeProbability))
+      cells.push(`<td data-value="${r.averagePlacement}">${r.averagePlacement.toFixed(2)}</td>`)
+      return `<tr>${cells.join('')}</tr>`
+   })
+
+   return [
+      '<table id="odds">',
+      `<thead><tr>${heading.map((h, i) => `<th data-column="${i}">${h}</th>`).join('')}</tr></thead>`,
+      `<tbody>${rows.join('\n')}</tbody>`,
+      '</table>'
+   ].join('\n')
+}
+
+// One column per round, each match listing the players most likely to fill each of its slots,
+// then the champion.
+
+function renderBracket(data, bracket, structure) {
+   const occupants = data.occupants || {}
+   const bySeed = Object.fromEntries(data.results.filter(r => r.seed).map(r => [r.seed, r.name]))
+   const columns = {}
+   for (const k of structure.matchKeys) {
+      const round = bracket[k].round
+      columns[round] = columns[round] || []
+      columns[round].push(k)
+   }
+
+   const slotHtml = (k, slot) => {
+      const seed = bracket[k].players[slot]
+      const likely = (occupants[k] || [])[slot] || []
+      if (likely.length === 0) {
+         const label = (seed && !data.qualifying) ? `${seed}. ${escapeHtml(bySeed[seed] || '')}` : (seed ? `Seed ${seed}` : '&nbsp;')
+         return `<div class="slot"><div class="occupant">${label}</div></div>`
+      }
+      const prefix = (seed && !data.qualifying) ? `${seed}. ` : ''
+      return `<div class="slot">${likely.map(o =>
+         `<div class="occupant" style="${heat(o.probability)}">${prefix}${escapeHtml(o.name)} <span>${percent(o.probability)}</span></div>`).join('')}</div>`
+   }
+
+   const matchHtml = k => {
+      const node = bracket[k]
+      const label = node.group ? `Group ${k}` : k
+      const slots = node.players.map((_, slot) => slotHtml(k, slot)).join('')
+      return `<div class="match"><div class="key">${escapeHtml(label)}</div>${slots}</div>`
+   }
+
+   const champion = data.results.slice().sort((a, b) => b.goldProbability - a.goldProbability).slice(0, 4)
+   const html = Object.keys(columns).sort((a, b) => a - b).map(round =>
+      `<div class="round"><h3>Round ${round}</h3>${columns[round].map(matchHtml).join('')}</div>`)
+   html.push(`<div class="round"><h3>Champion</h3><div class="match"><div class="slot">${champion.map(r =>
+      `<div class="occupant" style="${heat(r.goldProbability)}">${escapeHtml(r.name)} <span>${percent(r.goldProbability)}</span></div>`).join('')}</div></div></div>`)
+   const note = data.occupants ? '' : '<p>These results predate slot tallies, so only the seeds are shown. Rerun state.js to fill in the bracket.</p>'
+   return `${note}<div class="bracket">${html.join('\n')}</div>`
+}
+
+function renderPage(title, data, bracket, structure) {
+   const meta = [
+      `Generated ${escapeHtml(data.generatedAt || '')}`,
+      `${data.iterations} simulations`,
+      `model ${escapeHtml(data.model || 'elo-sampled')}`,
+      `bracket ${escapeHtml(data.bracket || `default for ${structure.fieldSize} players`)}`
+   ]
+   const played = Object.keys(data.completed || {}).length
+   if (played > 0) {
+      meta.push(`${played} of ${structure.matchKeys.length} matches completed`)
+   }
+   return [
+      '<!DOCTYPE html>',
+      '<html lang="en">',
+      '<head>',
+      '<meta charset="utf-8">',
+      `<title>${escapeHtml(title)}</title>`,
+      `<style>${STYLE}</style>`,
+      '</head>',
+      '<body>',
+      `<h1>${escapeHtml(title)}</h1>`,
+      `<p class="meta">${meta.join(' &middot; ')}</p>`,
+      '<h2>Odds</h2>',
+      '<p class="meta">Click a heading to sort. Round columns give the chance of advancing out of that round.</p>',
+      renderTable(data),
+      '<h2>Bracket</h2>',
+      '<p class="meta">The players most likely to reach each slot.</p>',
+      renderBracket(data, bracket, structure),
+      `<script>${SORT_SCRIPT}</script>`,
+      '</body>',
+      '</html>'
+   ].join('\n') + '\n'
+}
@@ -0,0 +1,150 @@
+// Scenario functions
+//
+// A scenario file is JSON that describes what-if versions of a field, for ratings we know to
+// be stale (a long layoff, an injury, a first state final) or for results we want to fix:
+//    { "alternates": [ { "name": "Pat Doe", "rating": 1650, "rd": 60 } ],
+//      "scenarios": [
+//         { "name": "rusty", "ratings": { "Conrad Rustad": { "rating": 1650, "rd": 80 } },
+//           "offsets": { "Jarrett Gaddy": -50 } },
+//         { "name": "withdrawal", "withdraw": ["Joshua Francis"] },
+//         { "name": "upset", "winners": { "w2": "Max Davidoff" } } ] }
+// ratings replaces a player's rating and rd, offsets adds to their rating, both moving any IFPA
+// rating by the same amount for the ifpa model, and withdraw removes players. Everyone seeded
+// below a withdrawn player moves up a seed, and the next alternate takes the last seed. winners
+// forces the winner of a match, by name or seed, just as a winner recorded in the bracket file
+// does.
+
+const fs = require('fs')
+
+function checkNames(scenario, key, names, field) {
+   for (const name of names) {
+      if (!field.some(p => p.name === name)) {
+         throw new Error(`Scenario ${scenario.name} ${key} names unknown player ${name}`)
+      }
+   }
+}
+
+/**
+ * Read and check a scenario file
+ * @param {string} filename - Scenario JSON file
+ * @returns {Object} alternates (players in the order they are called up) and scenarios, each
+ *    with name, ratings, offsets, withdraw and winners
+ */
+function readScenarios(filename) {
+   const spec = JSON.parse(fs.readFileSync(filename, 'utf8'))
+   if (!Array.isArray(spec.scenarios) || spec.scenarios.length === 0) {
+      throw new Error('Scenario file must list scenarios')
+   }
+   const alternates = (spec.alternates || []).map(p => {
+      if (!p.name || isNaN(parseFloat(p.rating)) || isNaN(parseFloat(p.rd))) {
+         throw new Error(`Alternate ${JSON.stringify(p)} needs a name, a rating and an rd`)
+      }
+      return { name: p.name, rating: parseFloat(p.rating), rd: parseFloat(p.rd) }
+   })
+   const names = new Set()
+   const scenarios = spec.scenarios.map((s, i) => {
+      const name = s.name || `scenario ${i + 1}`
+      if (names.has(name)) {
+         throw new Error(`Scenario names must be different, found ${name} twice`)
+      }
+      names.add(name)
+      for (const [player, offset] of Object.entries(s.offsets || {})) {
+         if (typeof offset !== 'number' || !isFinite(offset)) {
+            throw new Error(`Scenario ${name} offset for ${player} must be a number`)
+         }
+      }
+      for (const [player, override] of Object.entries(s.ratings || {})) {
+         if (!override || typeof override !== 'object') {
+            throw new Error(`Scenario ${name} ratings for ${player} must be an object with a rating, an rd or both`)
+         }
+         for (const key of ['rating', 'rd']) {
+            const value = override[key]
+            if (value !== undefined && (typeof value !== 'number' || !isFinite(value) || (key === 'rd' && value < 0))) {
+               throw new Error(`Scenario ${name} ${key} for ${player} must be a number${(key === 'rd') ? ' of 0 or more' : ''}, not: ${JSON.stringify(value)}`)
+            }
+         }
+      }
+      return {
+         name,
+         ratings: s.ratings || {},
+         offsets: s.offsets || {},
+         withdraw: s.withdraw || [],
+         winners: s.winners || {}
+      }
+   })
+   return { alternates, scenarios }
+}
+
+/**
+ * Apply a scenario to a field
+ * @param {Array<Object>} field - Players in seed order
+ * @param {Object} scenario - Scenario from readScenarios
+ * @param {Array<Object>} alternates - Alternates in the order they are called up
+ * @returns {Object} field (the scenario's players in seed order), winners (forced winning
+ *    seed by match) and changes (a description of each change)
+ */
+function applyScenario(field, scenario, alternates = []) {
+   var players = field.map(p => ({ ...p }))
+   const changes = []
+
+   // Withdrawn players leave the field, everyone below them moves up, and alternates fill
+   // the last seeds.
+
+   checkNames(scenario, 'withdraw', scenario.withdraw, players)
+   const remaining = alternates.filter(a => !field.some(p => p.name === a.name))
+   for (const name of scenario.withdraw) {
+      players = players.filter(p => p.name !== name)
+      const alternate = remaining.shift()
+      if (alternate) {
+         players.push({ ...alternate })
+         changes.push(`${name} withdraws, ${alternate.name} in`)
+      } else {
+         changes.push(`${name} withdraws`)
+      }
+   }
+   players.forEach((p, i) => {
+      p.seed = i + 1
+   })
+
+   checkNames(scenario, 'ratings', Object.keys(scenario.ratings), players)
+   for (const [name, override] of Object.entries(scenario.ratings)) {
+      const p = players.find(q => q.name === name)
+      if (override.rating !== undefined) {
+         changes.push(`${name} rating ${p.rating} -> ${override.rating}`)
+         if (p.ifpaRating) {
+            p.ifpaRating += override.rating - p.rating
+         }
+         p.rating = override.rating
+      }
+      if (override.rd !== undefined) {
+         changes.push(`${name} rd ${p.rd} -> ${override.rd}`)
+         p.rd = override.rd
+      }
+   }
+
+   checkNames(scenario, 'offsets', Object.keys(scenario.offsets), players)
+   for (const [name, offset] of Object.entries(scenario.offsets)) {
+      const p = players.find(q => q.name === name)
+      p.rating += offset
+      if (p.ifpaRating) {
+         p.ifpaRating += offset
+      }
+      changes.push(`${name} rating ${(offset >= 0) ? '+' : ''}${offset}`)
+   }
+
+   const winners = {}
+   for (const [k, who] of Object.entries(scenario.winners)) {
+      const seed = (typeof who === 'number') ? who : players.findIndex(p => p.name === who) + 1
+      if (!(seed >= 1 && seed <= players.length)) {
+         throw new Error(`Scenario ${scenario.name} winner of ${k} must be a player in the field, not: ${who}`)
+      }
+      winners[k] = seed
+      changes.push(`${players[seed - 1].name} wins ${k}`)
+   }
+   return { field: players, winners, changes }
+}
+
+module.exports = {
+   applyScenario,
+   readScenarios
+}
@@ -0,0 +1,291 @@
+/*
+   Measures what each seed position is worth in a bracket, and compares bracket layouts, so
+   organizers can argue for fairer formats. The field is held fixed and each player in turn is
+   moved into every seed slot, with everyone else keeping their order, so each seed's odds are
+   averaged over the whole field rather than belonging to whoever holds it. For each seed it
+   reports the chance of reaching each round and of each medal, the gain over an equal share,
+   the gain over the next seed down (its seed line) and the rounds it skips with a bye.
+
+   Alternative layouts are other bracket files for the same field size, e.g. with the byes
+   placed differently, and with --reseed each layout is also run reseeding after every round
+   (the best remaining seed plays the worst). Each layout is also run with the field as seeded,
+   to show how it treats each player, and how much each player gains from their seed.
+
+   usage: node seeding.js --field open-field
+          node seeding.js --field open-field --layouts data/bracket-24-alt.json --reseed
+   help: node seeding.js --help
+*/
+
+require('dotenv').config()
+const fs = require('fs')
+const path = require('path')
+const { program } = require('commander')
+const { loadField, prepareBracket } = require('./championship')
+const { DEFAULT_MODEL, MODEL_NAMES } = require('./models')
+const { createSimulator, deriveSeed, parseSeed } = require('./simulate')
+
+const RESULTS_DIR = './results'
+
+program
+   .option('--field <name>', 'field name (e.g. open-field)', 'open-field')
+   .option('--tournament <id>', 'Matchplay tournament ID (overrides --field)')
+   .option('--bracket <file>', 'bracket JSON file (default: data/bracket-N.json, generated if missing)')
+   .option('--layouts <files>', 'comma separated bracket files to compare with the bracket')
+   .option('--reseed', 'also run every layout reseeding after each round')
+   .option('--iterations <number>', 'simulations for each player in each seed', '2000')
+   .option('--seed <number>', 'random seed', '42')
+   .option('--model <name>', `win probability model (${MODEL_NAMES.join(', ')})`, DEFAULT_MODEL)
+   .parse()
+
+const options = program.opts()
+
+main()
+
+async function main() {
+   if (!MODEL_NAMES.includes(options.model)) {
+      console.error(`Error: Unknown model: ${options.model} (choose from ${MODEL_NAMES.join(', ')})`)
+      process.exit(1)
+   }
+   var seed
+   try {
+      seed = parseSeed(options.seed)
+   } catch (err) {
+      console.error(`Error: ${err.message}`)
+      process.exit(1)
+   }
+   const outputName = options.tournament || options.field
+   var field
+   try {
+      field = await loadField({ tournament: options.tournament, field: options.field })
+   } catch (err) {
+      console.error(`Error: ${err.message}`)
+      process.exit(1)
+   }
+
+   // Every layout to compare: the bracket, each alternative, and each reseeded with --reseed.
+
+   const files = [options.bracket || null].concat(options.layouts ? options.layouts.split(',').map(f => f.trim()) : [])
+   const layouts = []
+   const seen = new Set()
+   for (const file of files) {
+      const resolved = path.resolve(file || `./data/bracket-${field.length}.json`)
+      if (seen.has(resolved)) {
+         continue
+      }
+      seen.add(resolved)
+      var bracket
+      try {
+         bracket = prepareBracket(field.length, file)
+      } catch (err) {
+         console.error(`Error: ${file || 'default bracket'}: ${err.message}`)
+         process.exit(2)
+      }
+      const name = file ? path.basename(file, '.json') : `bracket-${field.length}`
+      layouts.push({ name, file, bracket, reseed: false })
+      if (options.reseed) {
+         layouts.push({ name: `${name} reseeded`, file, bracket, reseed: true })
+      }
+   }
+
+   const settings = {
+      iterations: parseInt(options.iterations, 10),
+      seed,
+      model: options.model
+   }
+   const analyses = []
+   for (const layout of layouts) {
+      console.error(`Simulating ${layout.name}...`)
+      try {
+         analyses.push({ layout, ...analyzeLayout(field, layout, settings) })
+      } catch (err) {
+         console.error(`Error: ${layout.name}: ${err.message}`)
+         process.exit(2)
+      }
+   }
+
+   printSummary(analyses)
+   writeResults(outputName, field, analyses, settings)
+}
+
+// The round each seed plays first, and how many rounds its bye skips.
+
+function startingRounds(bracket) {
+   const { template, structure } = bracket
+   const start = new Array(structure.fieldSize).fill(Infinity)
+   for (const k of structure.matchKeys) {
+      for (const s of template[k].players) {
+         if (s > 0) {
+            start[s - 1] = Math.min(start[s - 1], template[k].round)
+         }
+      }
+   }
+   const first = Math.min(...start)
+   return start.map(round => ({ round, bye: round - first }))
+}
+
+function newTally(rounds) {
+   return { wins: new Array(rounds).fill(0), gold: 0, silver: 0, bronze: 0, place: 0 }
+}
+
+function addTally(total, p) {
+   p.wins.forEach((w, r) => {
+      total.wins[r] += w
+   })
+   total.gold += p.gold
+   total.silver += p.silver
+   total.bronze += p.bronze
+   total.place += p.place
+}
+
+// Odds for each seed, from moving each player in turn into every seed with everyone else in
+// their seeded order, and for each player with the field as seeded.
+
+function analyzeLayout(field, layout, { iterations, seed, model }) {
+   const { template, structure, inProgress } = layout.bracket
+   const n = field.length
+   const config = { bracket: template, structure, inProgress, model, reseed: layout.reseed }
+
+   const bySeed = field.map(() => newTally(structure.rounds))
+   const goldBySeed = field.map(() => new Array(n).fill(0))
+   for (var i = 0; i < n; i++) {
+      const others = field.filter((_, j) => j !== i)
+      for (var s = 0; s < n; s++) {
+         const seeding = others.slice(0, s).concat([field[i]], others.slice(s)).map((player, k) => ({ ...player, seed: k + 1 }))
+         const simulator = createSimulator({ ...config, field: seeding, seed: deriveSeed(seed, i * n + s) })
+         simulator.run(iterations)
+         const moved = simulator.tallies().players[s]
+         addTally(bySeed[s], moved)
+         goldBySeed[i][s] = moved.gold / iterations
+      }
+   }
+
+   const total = n * iterations
+   const seeded = createSimulator({ ...config, field, seed })
+   seeded.run(total)
+   const asSeeded = seeded.tallies().players
+
+   // Reaching a round means starting in it or later, or winning a match in the round before.
+
+   const starts = startingRounds(layout.bracket)
+   const seeds = bySeed.map((t, s) => {
+      const reach = {}
+      for (var round = 2; round <= structure.rounds; round++) {
+         reach[`round${round}`] = (starts[s].round >= round) ? 1 : t.wins[round - 2] / total
+      }
+      return {
+         seed: s + 1,
+         startingRound: starts[s].round,
+         byeRounds: starts[s].bye,
+         reachProbabilities: reach,
+         goldProbability: t.gold / total,
+         silverProbability: t.silver / total,
+         bronzeProbability: t.bronze / total,
+         averagePlacement: t.place / total,
+         goldGain: t.gold / total - 1 / n
+      }
+   })
+   seeds.forEach((s, i) => {
+      s.seedLineGain = (i + 1 < seeds.length) ? s.goldProbability - seeds[i + 1].goldProbability : null
+   })
+
+   const players = field.map((player, i) => ({
+      name: player.name,
+      seed: player.seed,
+      rating: player.rating,
+      goldProbability: asSeeded[i].gold / total,
+      averagePlacement: asSeeded[i].place / total,
+      seedGain: asSeeded[i].gold / total - goldBySeed[i].reduce((t, g) => t + g, 0) / n,
+      goldBySeed: goldBySeed[i]
+   }))
+   return { seeds, players, summary: summarize(seeds, players) }
+}
+
+// The headline numbers for a layout: how much the top seed is worth over the last, what a bye
+// is worth, and how often the highest rated player wins with the field as seeded.
+
+function summarize(seeds, players) {
+   const mean = list => list.reduce((t, s) => t + s.goldProbability, 0) / list.length
+   const byes = seeds.filter(s => s.byeRounds > 0)
+   const others = seeds.filter(s => s.byeRounds === 0)
+   const lastBye = byes.length > 0 ? byes.reduce((a, b) => (b.seed > a.seed) ? b : a) : null
+   const firstOther = others.length > 0 ? others.reduce((a, b) => (b.seed < a.seed) ? b : a) : null
+   const favourite = players.reduce((a, b) => (b.rating > a.rating) ? b : a)
+   return {
+      topSeedGold: seeds[0].goldProbability,
+      lastSeedGold: seeds[seeds.length - 1].goldProbability,
+      seedSpread: seeds[0].goldProbability - seeds[seeds.length - 1].goldProbability,
+      byeSeeds: byes.length,
+      byeGain: (byes.length > 0 && others.length > 0) ? mean(byes) - mean(others) : null,
+      byeLineGain: (lastBye && firstOther) ? lastBye.goldProbability - firstOther.goldProbability : null,
+      favourite: favourite.name,
+      favouriteGold: favourite.goldProbability
+   }
+}
+
+function percent(p) {
+   return (p === null) ? '' : `${(p * 100).toFixed(1)}%`
+}
+
+function printSummary(analyses) {
+   const width = Math.max(...analyses.map(a => a.layout.name.length), 6)
+   const heading = ['layout'.padEnd(width), 'seed 1', 'last seed', 'spread', 'byes', 'bye gain', 'bye line', 'favourite']
+   console.log(heading.join('  '))
+   for (const { layout, summary: s } of analyses) {
+      console.log([
+         layout.name.padEnd(width),
+         percent(s.topSeedGold).padStart(6),
+         percent(s.lastSeedGold).padStart(9),
+         percent(s.seedSpread).padStart(6),
+         `${s.byeSeeds}`.padStart(4),
+         percent(s.byeGain).padStart(8),
+         percent(s.byeLineGain).padStart(8),
+         `${percent(s.favouriteGold)} ${s.favourite}`
+      ].join('  '))
+   }
+   console.log('\nGold odds by seed slot, averaged over every player moved into it. The bye gain compares seeds')
+   console.log('with and without a bye, the bye line the last seed with a bye and the first without.')
+}
+
+function writeResults(outputName, field, analyses, settings) {
+   if (!fs.existsSync(RESULTS_DIR)) {
+      fs.mkdirSync(RESULTS_DIR, { recursive: true })
+   }
+   const reachRounds = [...new Set(analyses.flatMap(a => Object.keys(a.seeds[0].reachProbabilities)))]
+   const seedTsv = [['layout', 'seed', 'starting round', 'bye rounds']
+      .concat(reachRounds.map(r => `reach ${r.replace('round', 'round ')}`))
+      .concat(['gold', 'silver', 'bronze', 'average placement', 'gold gain', 'seed line gain']).join('\t')]
+   for (const { layout, seeds } of analyses) {
+      for (const s of seeds) {
+         seedTsv.push([layout.name, s.seed, s.startingRound, s.byeRounds]
+            .concat(reachRounds.map(r => (r in s.reachProbabilities) ? s.reachProbabilities[r] : ''))
+            .concat([s.goldProbability, s.silverProbability, s.bronzeProbability, s.averagePlacement, s.goldGain, (s.seedLineGain === null) ? '' : s.seedLineGain])
+            .join('\t'))
+      }
+   }
+
+   const layoutTsv = [['layout', 'bracket', 'reseed', 'seed 1 gold', 'last seed gold', 'seed spread', 'bye seeds', 'bye gain', 'bye line gain', 'favourite', 'favourite gold'].join('\t')]
+      .concat(analyses.map(({ layout, summary: s }) => [layout.name, layout.file || '', layout.reseed, s.topSeedGold, s.lastSeedGold, s.seedSpread, s.byeSeeds,
+         (s.byeGain === null) ? '' : s.byeGain, (s.byeLineGain === null) ? '' : s.byeLineGain, s.favourite, s.favouriteGold].join('\t')))
+
+   const playerTsv = [['name', 'seed', 'rating'].concat(analyses.flatMap(a => [`gold ${a.layout.name}`, `seed gain ${a.layout.name}`])).join('\t')]
+      .concat(field.map((player, i) => [player.name, player.seed, player.rating]
+         .concat(analyses.flatMap(a => [a.players[i].goldProbability, a.players[i].seedGain])).join('\t')))
+
+   const base = `${RESULTS_DIR}/seeding-${outputName}`
+   fs.writeFileSync(`${base}.tsv`, seedTsv.join('\n') + '\n')
+   fs.writeFileSync(`${base}-layouts.tsv`, layoutTsv.join('\n') + '\n')
+   fs.writeFileSync(`${base}-players.tsv`, playerTsv.join('\n') + '\n')
+   fs.writeFileSync(`${base}.json`, JSON.stringify({
+      generatedAt: new Date().toISOString(),
+      ...settings,
+      layouts: analyses.map(({ layout, seeds, players, summary }) => ({
+         name: layout.name,
+         bracket: layout.file,
+         reseed: layout.reseed,
+         summary,
+         seeds,
+         players
+      }))
+   }, null, 2) + '\n')
+   console.error(`Seeding analysis written to ${base}.tsv, ${base}-layouts.tsv, ${base}-players.tsv and ${base}.json`)
+}
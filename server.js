@@ -0,0 +1,250 @@
+/*
+   Local HTTP server for running simulations from a browser or other tools, with a small web
+   UI at / to edit a field's ratings and rerun with one click.
+
+   POST /api/simulate takes a field (or a Matchplay tournament ID) and optionally a bracket,
+   qualifying format and scores as JSON, with iterations, seed and model, and returns the
+   results JSON that state.js writes. Nothing is written to ./results.
+
+   usage: node server.js --port 3000
+          curl -X POST localhost:3000/api/simulate -d '{"field":[...],"iterations":100000}'
+   help: node server.js --help
+*/
+
+require('dotenv').config()
+const fs = require('fs')
+const http = require('http')
+const path = require('path')
+const { program } = require('commander')
+const { getCompletedGames, getTournamentField } = require('./matchplay-api')
+const { checkField, checkFieldFile, prepareBracket, readField, runChampionship } = require('./championship')
+const { DEFAULT_MODEL, MODEL_NAMES } = require('./models')
+const { normalizeQualifying } = require('./qualifying')
+const { parseSeed, parseWorkers } = require('./simulate')
+
+program
+   .option('--port <number>', 'port to listen on', '3000')
+   .option('--host <host>', 'address to listen on', '127.0.0.1')
+   .option('--workers <number>', 'worker threads to spread each simulation over', '1')
+   .option('--max-iterations <number>', 'most simulations a request may ask for', '1000000')
+   .parse()
+
+const options = program.opts()
+var workers
+try {
+   workers = parseWorkers(options.workers)
+} catch (err) {
+   console.error(`Error: ${err.message}`)
+   process.exit(1)
+}
+
+const DATA_DIR = './data'
+const UI_PATH = path.join(__dirname, 'web', 'index.html')
+const MAX_BODY = 1024 * 1024
+const DEFAULT_ITERATIONS = 100000
+const DEFAULT_SEED = 42
+
+// Simulations run one at a time, so workers are never shared between requests.
+
+var queue = Promise.resolve()
+
+function enqueue(task) {
+   const result = queue.then(task)
+   queue = result.catch(() => {})
+   return result
+}
+
+// A request error, reported to the client as a 400 with its message.
+
+function badRequest(message) {
+   const err = new Error(message)
+   err.status = 400
+   return err
+}
+
+function send(res, status, body, type = 'application/json') {
+   res.writeHead(status, { 'Content-Type': type })
+   res.end((type === 'application/json') ? JSON.stringify(body) : body)
+}
+
+function readBody(req) {
+   return new Promise((resolve, reject) => {
+      var body = ''
+      req.setEncoding('utf8')
+      req.on('data', chunk => {
+         body += chunk
+         if (body.length > MAX_BODY) {
+            reject(badRequest('Request body too large'))
+            req.destroy()
+         }
+      })
+      req.on('end', () => {
+         try {
+            resolve(body ? JSON.parse(body) : {})
+         } catch (err) {
+            reject(badRequest(`Invalid JSON: ${err.message}`))
+         }
+      })
+      req.on('error', reject)
+   })
+}
+
+function listData(pattern) {
+   return fs.readdirSync(DATA_DIR).filter(file => pattern.test(file)).sort()
+}
+
+// Check a field from a request with the same checks as every other run, numbering players
+// without a seed by their position, and put it in seed order.
+
+function requestField(players, qualifying) {
+   if (Array.isArray(players)) {
+      players = players.map((p, i) => {
+         const unseeded = p && typeof p === 'object' && (p.seed === undefined || p.seed === null || p.seed === '')
+         return unseeded ? { ...p, seed: i + 1 } : p
+      })
+   }
+   const problems = checkField(players, { qualifying: !!qualifying })
+   if (problems.length > 0) {
+      throw badRequest(`Invalid field: ${problems.join('; ')}`)
+   }
+   const field = players.map(p => {
+      const player = {
+         name: `${p.name}`.trim(),
+         rating: parseFloat(p.rating),
+         rd: parseFloat(p.rd),
+         seed: parseInt(p.seed, 10)
+      }
+      if (p.ifpaRating) {
+         player.ifpaRating = parseFloat(p.ifpaRating)
+      }
+      if (p.qualifyingPoints) {
+         player.qualifyingPoints = parseFloat(p.qualifyingPoints)
+      }
+      return player
+   })
+   if (!qualifying) {
+      field.sort((a, b) => a.seed - b.seed)
+   }
+   return field
+}
+
+async function simulate(body) {
+   const model = body.model || DEFAULT_MODEL
+   if (!MODEL_NAMES.includes(model)) {
+      throw badRequest(`Unknown model: ${model} (choose from ${MODEL_NAMES.join(', ')})`)
+   }
+   const iterations = parseInt(body.iterations || DEFAULT_ITERATIONS, 10)
+   const maxIterations = parseInt(options.maxIterations, 10)
+   if (!(iterations > 0) || iterations > maxIterations) {
+      throw badRequest(`Iterations must be between 1 and ${maxIterations}`)
+   }
+   // A seed of 0 is refused rather than replaced by the default.
+
+   var seed
+   try {
+      seed = parseSeed((body.seed === undefined || body.seed === null || body.seed === '') ? DEFAULT_SEED : body.seed)
+   } catch (err) {
+      throw badRequest(err.message)
+   }
+
+   var players = body.field
+   var source = 'request'
+   if (body.tournament) {
+      const tournamentId = parseInt(body.tournament, 10)
+      players = await getTournamentField(tournamentId)
+      source = `tournament:${tournamentId}`
+   }
+
+   var qualifying = null
+   if (body.qualifying) {
+      try {
+         qualifying = normalizeQualifying(body.qualifying, Array.isArray(players) ? players.length : 0)
+      } catch (err) {
+         throw badRequest(`Invalid qualifying: ${err.message}`)
+      }
+   }
+   const field = requestField(players, qualifying)
+
+   // A bracket is a bracket object or the name of a bracket file in ./data.
+
+   var bracketFile = null
+   var bracketSpec = body.bracket || null
+   if (typeof bracketSpec === 'string') {
+      if (!listData(/^bracket-.*\.json$/).includes(bracketSpec)) {
+         throw badRequest(`Unknown bracket: ${bracketSpec}`)
+      }
+      bracketFile = path.join(DATA_DIR, bracketSpec)
+      bracketSpec = bracketFile
+   }
+   const games = (body.live && body.tournament) ? await getCompletedGames(parseInt(body.tournament, 10)) : null
+   var bracket
+   try {
+      bracket = prepareBracket(qualifying ? qualifying.qualifiers : field.length, bracketSpec, { games, scores: body.scores || null, qualifying: !!qualifying })
+   } catch (err) {
+      throw badRequest(err.message)
+   }
+
+   const { results } = await enqueue(() => runChampionship({ field, bracket, qualifying }, {
+      iterations,
+      seed,
+      model,
+      workers,
+      source,
+      bracketFile
+   }))
+   return results
+}
+
+async function handle(req, res) {
+   const url = new URL(req.url, 'http://localhost')
+   const route = `${req.method} ${url.pathname}`
+
+   if (route === 'GET /') {
+      return send(res, 200, fs.readFileSync(UI_PATH, 'utf8'), 'text/html; charset=utf-8')
+   }
+   if (route === 'GET /api/options') {
+      return send(res, 200, {
+         fields: listData(/\.tsv$/).map(file => file.replace(/\.tsv$/, '')),
+         brackets: listData(/^bracket-.*\.json$/),
+         models: MODEL_NAMES,
+         defaults: { model: DEFAULT_MODEL, iterations: DEFAULT_ITERATIONS, seed: DEFAULT_SEED, maxIterations: parseInt(options.maxIterations, 10) }
+      })
+   }
+   const fieldMatch = url.pathname.match(/^\/api\/fields\/([\w-]+)$/)
+   if (req.method === 'GET' && fieldMatch) {
+      const filename = path.join(DATA_DIR, `${fieldMatch[1]}.tsv`)
+      if (!fs.existsSync(filename)) {
+         return send(res, 404, { error: `No field ${fieldMatch[1]}` })
+      }
+      const problems = checkFieldFile(filename)
+      if (problems.length > 0) {
+         throw badRequest(`Invalid field ${fieldMatch[1]}: ${problems.join('; ')}`)
+      }
+      return send(res, 200, { name: fieldMatch[1], players: readField(filename) })
+   }
+   const tournamentMatch = url.pathname.match(/^\/api\/tournaments\/(\d+)$/)
+   if (req.method === 'GET' && tournamentMatch) {
+      return send(res, 200, { name: tournamentMatch[1], players: await getTournamentField(parseInt(tournamentMatch[1], 10)) })
+   }
+   if (route === 'POST /api/simulate') {
+      const started = Date.now()
+      const results = await simulate(await readBody(req))
+      console.error(`Simulated ${results.iterations} brackets for ${results.source} in ${Date.now() - started} ms`)
+      return send(res, 200, results)
+   }
+   send(res, 404, { error: `Not found: ${route}` })
+}
+
+const server = http.createServer((req, res) => {
+   handle(req, res).catch(err => {
+      const status = err.status || 500
+      if (status === 500) {
+         console.error(`Error: ${err.message}`)
+      }
+      send(res, status, { error: err.message })
+   })
+})
+
+server.listen(parseInt(options.port, 10), options.host, () => {
+   console.error(`Listening at http://${options.host}:${server.address().port}/`)
+})
@@ -0,0 +1,12 @@
+// Worker thread for createRunner in simulate.js. Each { count } message runs that many more
+// simulations and replies with the tallies so far.
+
+const { parentPort, workerData } = require('worker_threads')
+const { createSimulator } = require('./simulate')
+
+const simulator = createSimulator(workerData)
+
+parentPort.on('message', ({ count }) => {
+   simulator.run(count)
+   parentPort.postMessage(simulator.tallies())
+})
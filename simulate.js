@@ -0,0 +1,484 @@
+// Simulation engine
+//
+// A simulator plays a bracket over and over with its own seeded random number generators
+// and tallies where each player finishes. The bracket is flattened into one array of player
+// slots, so each simulated bracket starts with a single typed array copy. Runs can be
+// spread over worker threads, each with a seed derived from the main seed, and the merged
+// tallies are the same for a given seed and worker count.
+
+const path = require('path')
+const { Worker } = require('worker_threads')
+const minstd = require('@stdlib/random-base-minstd')
+const normal = require('@stdlib/random-base-normal')
+const { playGroup, playMatch } = require('./formats')
+const { machineAdjustments, machinePicks } = require('./machines')
+const { getModel } = require('./models')
+const { playQualifying } = require('./qualifying')
+
+const MAX_SEED = 2147483646
+
+/**
+ * Check a random seed before a run, since the generator only takes whole numbers from 1 to
+ * 2^31 - 2
+ * @param {number|string} value - Seed, e.g. from the command line
+ * @returns {number} The seed
+ */
+function parseSeed(value) {
+   const seed = (typeof value === 'string' && value.trim() === '') ? NaN : Number(value)
+   if (!Number.isInteger(seed) || seed < 1 || seed > MAX_SEED) {
+      throw new Error(`Seed must be a whole number from 1 to ${MAX_SEED}, not: ${value}`)
+   }
+   return seed
+}
+
+/**
+ * Check a number of worker threads before a run
+ * @param {number|string} value - Number of workers, e.g. from the command line
+ * @returns {number} The number of workers
+ */
+function parseWorkers(value) {
+   const workers = (typeof value === 'string' && value.trim() === '') ? NaN : Number(value)
+   if (!Number.isInteger(workers) || workers < 1) {
+      throw new Error(`Workers must be a whole number from 1, not: ${value}`)
+   }
+   return workers
+}
+
+/**
+ * Seed for one of several workers, drawn from a generator seeded with the main seed
+ * @param {number} seed - Main seed
+ * @param {number} index - Worker index
+ * @returns {number} Seed for the worker
+ */
+function deriveSeed(seed, index) {
+   const rng = minstd.factory({ seed })
+   var derived = seed
+   for (let i = 0; i <= index; i++) {
+      derived = rng()
+   }
+   return derived
+}
+
+/**
+ * Create a simulator for a field and bracket
+ * @param {Object} config - field (name, rating, rd by seed - 1), bracket (template with
+ *    any completed matches and scores), structure (from analyzeBracket), inProgress (from
+ *    matchProgress), model (name of a win probability model), seed, and optionally machines
+ *    (names), machineStrengths (rating adjustments by player name, then machine),
+ *    qualifying (a normalized qualifying format, which makes field the list of entrants, with
+ *    their qualifying points so far in qualifyingPoints), reseed (true to pair the best
+ *    remaining seed with the worst before every round after the first) and observe (called
+ *    after each simulated bracket with the winning entrant of each match, in matchKeys order;
+ *    not available with workers)
+ * @returns {Object} run(count) to simulate more brackets, tallies() for the counts so far
+ */
+function createSimulator({ field, bracket, structure, inProgress = {}, model, seed, machines = null, machineStrengths = {}, qualifying = null, reseed = false, observe = null }) {
+   const { matchup, groupStrengths } = getModel(model)
+   const adjustments = machines ? machineAdjustments(field, machines, machineStrengths) : null
+   const seededRng = minstd.factory({ seed })
+
+   // Use a uniform distribution for determining the winner of a game.
+
+   const matchRng = seededRng.normalized
+
+   // Use a normal distribution for generating ratings, for models that sample them.
+
+   const ratingRng = normal.factory({ prng: matchRng })
+
+   // Flatten the bracket: every node's players occupy consecutive slots, and each finishing
+   // position either feeds a slot, goes to the third place match, or takes a place.
+
+   const keys = structure.matchKeys
+   const offsets = {}
+   var size = 0
+   for (const k of keys) {
+      offsets[k] = size
+      size += bracket[k].players.length
+   }
+   const template = new Int32Array(size)
+   const slots = new Int32Array(size)
+   const nodes = keys.map(k => {
+      const node = bracket[k]
+      template.set(node.players, offsets[k])
+      return {
+         key: k,
+         offset: offsets[k],
+         size: node.players.length,
+         round: node.round,
+         label: `round ${node.round}`,
+         group: !!node.group,
+         format: structure.formats[k],
+         winner: node.winner || 0,
+         result: node.result || null,
+         score: node.score || null,
+         reset: !!node.reset,
+         live: k in inProgress,
+         outcomes: structure.outcomes[k].map(o => ({
+            win: o.win,
+            slot: o.feed ? offsets[o.feed[0]] + o.feed[1] : -1,
+            consolation: !!o.consolation,
+            place: o.place || 0
+         }))
+      }
+   })
+
+   // With reseeding, the matches of each round after the first, which must all be played
+   // before the next round starts.
+
+   const reseedRounds = {}
+   if (reseed) {
+      var lastRound = 0
+      nodes.forEach((node, i) => {
+         if (node.group || bracket[node.key].loserFeeds) {
+            throw new Error(`Reseeding needs a single elimination bracket, but ${node.key} is ${node.group ? 'a group' : 'a double elimination match'}`)
+         }
+         if (node.round < lastRound) {
+            throw new Error(`Reseeding needs every round played in turn, but ${node.key} is round ${node.round} after round ${lastRound}`)
+         }
+         if (node.round > nodes[0].round) {
+            reseedRounds[node.round] = (reseedRounds[node.round] || []).concat([i])
+         }
+         lastRound = node.round
+      })
+   }
+
+   const n = field.length
+   const players = field.map(() => ({
+      wins: new Array(structure.rounds).fill(0),
+      gold: 0,
+      silver: 0,
+      bronze: 0,
+      place: 0,
+      placements: {},
+      ...(qualifying ? { qualified: 0, seeds: new Array(structure.fieldSize).fill(0) } : {})
+   }))
+
+   // The entrant (index in field) holding each seed, fixed unless qualifying decides it.
+
+   const entrant = Int32Array.from({ length: structure.fieldSize }, (_, i) => i)
+   const start = field.map(player => player.qualifyingPoints || 0)
+
+   // Count how often each player in a match in progress goes on to win it.
+
+   const liveWins = {}
+   for (const node of nodes) {
+      if (node.live) {
+         liveWins[node.key] = new Array(node.size).fill(0)
+      }
+   }
+
+   // Count how often each pair of players meets, at most once per simulated bracket, and in
+   // which round.
+
+   const meetings = field.map(() => new Array(n).fill(0))
+   const meetingsByRound = field.map(() => field.map(() => ({})))
+   const lastMet = field.map(() => new Array(n).fill(-1))
+   const meetingRounds = new Set()
+   var iterations = 0
+   var consolation = []
+
+   // Count how often each player occupies each slot of the bracket, for the bracket view.
+   // Each bracket's match winners go to observe.
+
+   const occupancy = Array.from({ length: size }, () => new Array(n).fill(0))
+   const winners = observe ? new Int32Array(nodes.length) : null
+
+   function f(s) {
+      return field[entrant[s - 1]]
+   }
+
+   function meet(seeds, label) {
+      meetingRounds.add(label)
+      for (var i = 0; i < seeds.length; i++) {
+         for (var j = i + 1; j < seeds.length; j++) {
+            var a = entrant[seeds[i] - 1]
+            var b = entrant[seeds[j] - 1]
+            if (lastMet[a][b] != iterations) {
+               lastMet[a][b] = lastMet[b][a] = iterations
+               meetings[a][b]++
+               meetings[b][a]++
+            }
+            meetingsByRound[a][b][label] = (meetingsByRound[a][b][label] || 0) + 1
+            meetingsByRound[b][a][label] = meetingsByRound[a][b][label]
+         }
+      }
+   }
+
+   function award(s, place) {
+      const p = players[entrant[s - 1]]
+      p.place += place
+      p.placements[place] = (p.placements[place] || 0) + 1
+      if (place == 1) {
+         p.gold++
+      } else if (place == 2) {
+         p.silver++
+      } else if (place == 3) {
+         p.bronze++
+      }
+   }
+
+   // Finish a match in the given format from its current score, 0-0 unless it is in progress.
+   // With machines, each game's chance depends on the machine picked, the higher seed first.
+
+   function play(s1, s2, format, score) {
+      var chance = matchup(f(s1), f(s2), ratingRng)
+      var p = adjustments ? machinePicks(adjustments[entrant[s1 - 1]], adjustments[entrant[s2 - 1]], (s1 < s2) ? 0 : 1, chance) : chance(0)
+      return (playMatch(format, p, matchRng, score || undefined) == 0) ? s1 : s2
+   }
+
+   function playForThird() {
+      meet(consolation, 'third place')
+      var winner = play(consolation[0], consolation[1], structure.thirdPlaceFormat)
+      award(winner, 3)
+      award((winner == consolation[0]) ? consolation[1] : consolation[0], 4)
+   }
+
+   // Finishing order of a match or group, played out unless it is already complete. A grand
+   // final with a reset is played again when the player in the second slot wins it.
+
+   function finish(node, seeds) {
+      meet(seeds, node.label)
+      if (node.group) {
+         if (node.result) {
+            return node.result
+         }
+         const strengths = groupStrengths(seeds.map(f), ratingRng)
+         return playGroup(node.format, strengths, matchRng, node.score).map(i => seeds[i])
+      }
+      var [s1, s2] = seeds
+      var winner = node.winner
+      if (!winner) {
+         winner = play(s1, s2, node.format, node.score)
+         if (node.reset && winner == s2) {
+            winner = play(s1, s2, node.format)
+         }
+      }
+      return (winner == s1) ? [s1, s2] : [s2, s1]
+   }
+
+   // Pair the players who reached a round best against worst, in the order of its matches.
+
+   function reseedRound(round) {
+      const matches = reseedRounds[round].map(i => nodes[i])
+      const remaining = matches.flatMap(node => Array.from(slots.subarray(node.offset, node.offset + node.size)))
+         .sort((a, b) => a - b)
+      matches.forEach((node, i) => {
+         slots[node.offset] = remaining[i]
+         slots[node.offset + 1] = remaining[remaining.length - 1 - i]
+      })
+   }
+
+   // Play out qualifying to seed the field. Entrants who miss out finish in their qualifying
+   // position, all tallied in one placement band after the bracket's places.
+
+   function qualify() {
+      const standings = playQualifying(qualifying, start, group => groupStrengths(group.map(i => field[i]), ratingRng), matchRng)
+      standings.forEach((e, position) => {
+         const p = players[e]
+         if (position < structure.fieldSize) {
+            entrant[position] = e
+            p.qualified++
+            p.seeds[position]++
+         } else {
+            p.place += position + 1
+            p.placements[structure.fieldSize + 1] = (p.placements[structure.fieldSize + 1] || 0) + 1
+         }
+      })
+   }
+
+   function run(count) {
+      for (const end = iterations + count; iterations < end; iterations++) {
+         if (qualifying) {
+            qualify()
+         }
+         slots.set(template)
+         consolation = []
+         for (var zz = 0; zz < nodes.length; zz++) {
+            var node = nodes[zz]
+            if (reseed && node.round in reseedRounds && reseedRounds[node.round][0] == zz) {
+               reseedRound(node.round)
+            }
+            var seeds = Array.from(slots.subarray(node.offset, node.offset + node.size))
+            var order = finish(node, seeds)
+
+            if (node.live) {
+               liveWins[node.key][seeds.indexOf(order[0])]++
+            }
+            if (winners) {
+               winners[zz] = entrant[order[0] - 1]
+            }
+
+            for (var pos = 0; pos < order.length; pos++) {
+               var s = order[pos]
+               var outcome = node.outcomes[pos]
+               if (outcome.win) {
+                  players[entrant[s - 1]].wins[node.round - 1]++
+               }
+               if (outcome.slot >= 0) {
+                  slots[outcome.slot] = s
+               } else if (outcome.consolation) {
+                  consolation.push(s)
+               } else {
+                  // Players knocked out before the last four tie with others who go out in the same round.
+                  award(s, outcome.place)
+               }
+            }
+         }
+         if (consolation.length == 2) {
+            playForThird()
+         }
+         for (var k = 0; k < size; k++) {
+            if (slots[k] > 0) {
+               occupancy[k][entrant[slots[k] - 1]]++
+            }
+         }
+         if (observe) {
+            observe(winners)
+         }
+      }
+   }
+
+   function tallies() {
+      return {
+         iterations,
+         players,
+         liveWins,
+         meetings,
+         meetingsByRound,
+         meetingRounds: [...meetingRounds],
+         occupants: Object.fromEntries(nodes.map(node => [node.key, occupancy.slice(node.offset, node.offset + node.size)]))
+      }
+   }
+
+   return { run, tallies }
+}
+
+function addCounts(total, counts) {
+   for (const k in counts) {
+      total[k] = (total[k] || 0) + counts[k]
+   }
+}
+
+/**
+ * Add up the tallies of several simulators
+ * @param {Array<Object>} list - Tallies from each simulator
+ * @returns {Object} Combined tallies
+ */
+function mergeTallies(list) {
+   const merged = JSON.parse(JSON.stringify(list[0]))
+   for (const t of list.slice(1)) {
+      merged.iterations += t.iterations
+      t.players.forEach((p, i) => {
+         const m = merged.players[i]
+         p.wins.forEach((w, r) => {
+            m.wins[r] += w
+         })
+         m.gold += p.gold
+         m.silver += p.silver
+         m.bronze += p.bronze
+         m.place += p.place
+         addCounts(m.placements, p.placements)
+         if (p.seeds) {
+            m.qualified += p.qualified
+            p.seeds.forEach((c, k) => {
+               m.seeds[k] += c
+            })
+         }
+      })
+      for (const k in t.liveWins) {
+         t.liveWins[k].forEach((w, i) => {
+            merged.liveWins[k][i] += w
+         })
+      }
+      t.meetings.forEach((row, a) => {
+         row.forEach((count, b) => {
+            merged.meetings[a][b] += count
+            addCounts(merged.meetingsByRound[a][b], t.meetingsByRound[a][b])
+         })
+      })
+      merged.meetingRounds = [...new Set(merged.meetingRounds.concat(t.meetingRounds))]
+      for (const k in t.occupants) {
+         t.occupants[k].forEach((counts, slot) => {
+            counts.forEach((count, i) => {
+               merged.occupants[k][slot][i] += count
+            })
+         })
+      }
+   }
+   return merged
+}
+
+/**
+ * Run simulations in this thread, or spread over worker threads
+ * @param {Object} config - Same as createSimulator
+ * @param {number} workers - Number of worker threads, anything but a whole number of 2 or more
+ *    to run in this thread
+ * @returns {Object} run(count), resolving to the combined tallies so far, and close()
+ */
+function createRunner(config, workers = 1) {
+   if (!(Number.isInteger(workers) && workers >= 2)) {
+      const simulator = createSimulator(config)
+      return {
+         run: async count => {
+            simulator.run(count)
+            return simulator.tallies()
+         },
+         close: async () => {}
+      }
+   }
+
+   const pool = []
+   for (let i = 0; i < workers; i++) {
+      pool.push(new Worker(path.join(__dirname, 'simulate-worker.js'), {
+         workerData: { ...config, seed: deriveSeed(config.seed, i) }
+      }))
+   }
+
+   // Each request listens for its worker's reply, an error, or the worker exiting without
+   // replying, and stops listening for the others when one arrives.
+
+   function request(worker, count) {
+      return new Promise((resolve, reject) => {
+         const settle = () => {
+            worker.off('message', onMessage)
+            worker.off('error', onError)
+            worker.off('exit', onExit)
+         }
+         const onMessage = tallies => {
+            settle()
+            resolve(tallies)
+         }
+         const onError = err => {
+            settle()
+            reject(err)
+         }
+         const onExit = code => {
+            settle()
+            reject(new Error(`Simulation worker exited with code ${code} before replying`))
+         }
+         worker.on('message', onMessage)
+         worker.on('error', onError)
+         worker.on('exit', onExit)
+         worker.postMessage({ count })
+      })
+   }
+
+   return {
+      run: async count => {
+         // Worker i runs an equal share, with the remainder spread over the first workers.
+         const shares = pool.map((_, i) => Math.floor(count / workers) + (i < count % workers ? 1 : 0))
+         const results = await Promise.all(pool.map((worker, i) => request(worker, shares[i])))
+         return mergeTallies(results)
+      },
+      close: () => Promise.all(pool.map(worker => worker.terminate()))
+   }
+}
+
+module.exports = {
+   createRunner,
+   createSimulator,
+   deriveSeed,
+   mergeTallies,
+   parseSeed,
+   parseWorkers
+}
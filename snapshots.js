@@ -0,0 +1,67 @@
+// Snapshot functions
+//
+// Each run of state.js in the default context (default bracket, model and iterations, with no
+// machines, qualifying or matches played) saves a snapshot of the field's ratings and the medal
+// odds it produced in ./history/<name>/<date>.json, one per day, the latest run of the day
+// replacing earlier ones.
+// history.js reads them back to show how ratings and odds moved over time.
+
+const fs = require('fs')
+const path = require('path')
+
+const HISTORY_DIR = './history'
+
+/**
+ * Save a snapshot of a run
+ * @param {string} outputName - Field name or tournament ID
+ * @param {Object} results - Results JSON written by state.js
+ * @param {string} date - Snapshot date, YYYY-MM-DD
+ * @returns {string} Path of the snapshot
+ */
+function saveSnapshot(outputName, results, date) {
+   const dir = path.join(HISTORY_DIR, `${outputName}`)
+   fs.mkdirSync(dir, { recursive: true })
+   const snapshot = {
+      date,
+      generatedAt: results.generatedAt,
+      iterations: results.iterations,
+      model: results.model,
+      source: results.source,
+      bracket: results.bracket,
+      completed: Object.keys(results.completed || {}).length,
+      players: results.results.map(r => ({
+         name: r.name,
+         seed: r.seed,
+         rating: r.rating,
+         rd: r.ratingDeviation,
+         goldProbability: r.goldProbability,
+         silverProbability: r.silverProbability,
+         bronzeProbability: r.bronzeProbability
+      }))
+   }
+   const snapshotPath = path.join(dir, `${date}.json`)
+   fs.writeFileSync(snapshotPath, JSON.stringify(snapshot, null, 2) + '\n')
+   return snapshotPath
+}
+
+/**
+ * Read every snapshot for a field or tournament, oldest first
+ * @param {string} outputName - Field name or tournament ID
+ * @returns {Array<Object>} Snapshots
+ */
+function readSnapshots(outputName) {
+   const dir = path.join(HISTORY_DIR, `${outputName}`)
+   if (!fs.existsSync(dir)) {
+      return []
+   }
+   return fs.readdirSync(dir)
+      .filter(file => /^\d{4}-\d{2}-\d{2}\.json$/.test(file))
+      .sort()
+      .map(file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')))
+}
+
+module.exports = {
+   HISTORY_DIR,
+   readSnapshots,
+   saveSnapshot
+}
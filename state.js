@@ -6,7 +6,7 @@
 
    See README.md
 
-   Simulates IFPA State Championships using Glicko ratings from Matchplay.Events
+   Simulates IFPA State Championships of any field size using Glicko ratings from Matchplay.Events
 
    install: npm install
    usage: node state.js > results.tsv
@@ -17,37 +17,73 @@ require('dotenv').config()
 const fs = require('fs')
 const { parse } = require('csv-parse/sync')
 const { program } = require('commander')
-const minstd = require('@stdlib/random-base-minstd')
-const normal = require('@stdlib/random-base-normal')
-const { getTournamentField, clearCache } = require('./matchplay-api')
-
-const VALID_FIELD_SIZES = [16, 24]
+const { getCompletedGames, getMachineGames, getRatingsByIfpaId, clearCache } = require('./matchplay-api')
+const { loadField, prepareBracket, runChampionship } = require('./championship')
+const { machineStrengthsFromGames, readMachineStrengths, readMachines, writeMachineStrengths } = require('./machines')
+const { DEFAULT_MODEL, MODEL_NAMES, getModel } = require('./models')
+const { readQualifying } = require('./qualifying')
+const { applyScenario, readScenarios } = require('./scenarios')
+const { parseSeed, parseWorkers } = require('./simulate')
+const { saveSnapshot } = require('./snapshots')
 
 program
    .option('--field <name>', 'field name (e.g. open-field)', 'open-field')
    .option('--tournament <id>', 'Matchplay tournament ID (overrides --field)')
+   .option('--bracket <file>', 'bracket JSON file (default: data/bracket-N.json, generated if missing)')
+   .option('--live', 'fix matches already completed in the Matchplay tournament to their winners')
+   .option('--score <scores...>', 'game score of a match in progress, in players order (e.g. w17=2-1)')
+   .option('--points <file>', 'TSV of points (e.g. WPPR) by place, for expected points')
+   .option('--baseline <file>', 'results JSON to compare against (default: latest run with no completed matches)')
    .option('--clear', 'clear cached tournament data before fetching')
    .option('--seed <number>', 'random seed', '42')
    .option('--iterations <number>', 'number of simulations', '1000000')
+   .option('--precision <number>', 'run batches until every gold probability is within this tolerance (95%)')
+   .option('--batch <number>', 'simulations per batch with --precision', '100000')
+   .option('--max-iterations <number>', 'most simulations to run with --precision', '100000000')
+   .option('--workers <number>', 'worker threads to spread simulations over', '1')
+   .option('--model <name>', `win probability model (${MODEL_NAMES.join(', ')})`, DEFAULT_MODEL)
+   .option('--machines <file>', 'TSV of the machines at the venue, for machine picks')
+   .option('--machine-strengths <file>', 'TSV of rating adjustments by player and machine')
+   .option('--machine-history <ids...>', 'Matchplay tournament IDs to estimate machine strengths from')
+   .option('--qualifying <file>', 'qualifying JSON file, to seed the field from its entrants by simulating qualifying')
+   .option('--ifpa-ratings', 'fetch ratings from Matchplay for players with an ifpa_id in the field TSV')
+   .option('--strict-ratings', 'stop if any rating cannot be fetched, instead of using a default')
+   .option('--scenarios <file>', 'JSON file of rating overrides, withdrawals and forced winners to run side by side')
+   .option('--no-snapshot', 'do not save a dated snapshot of the ratings and odds for history.js')
+   .option('--snapshot-date <date>', 'date of the snapshot, YYYY-MM-DD (default: today)')
    .parse()
 
 const options = program.opts()
-const ITERATIONS = parseInt(options.iterations, 10)
-const seededRng = minstd.factory({ seed: parseInt(options.seed, 10) })
-
-// Use a uniform distribution for determining the winner of a game.
-
-const matchRng = seededRng.normalized
-
-// Use a normal distribution for generating ratings.
-
-const ratingRng = normal.factory({ prng: matchRng })
 
 const RESULTS_DIR = './results'
 
 main()
 
 async function main() {
+   // A batch or limit that is not a positive number would never reach the precision, and
+   // iterations that are not would leave the results empty.
+
+   if (options.precision !== undefined && !(parseFloat(options.precision) > 0)) {
+      console.error(`Error: --precision must be a positive number, not: ${options.precision}`)
+      process.exit(1)
+   }
+   for (const [option, value] of [['--iterations', options.iterations], ['--batch', options.batch], ['--max-iterations', options.maxIterations]]) {
+      if (!(Number.isInteger(Number(value)) && Number(value) > 0)) {
+         console.error(`Error: ${option} must be a whole number from 1, not: ${value}`)
+         process.exit(1)
+      }
+   }
+
+   var seed
+   var workers
+   try {
+      seed = parseSeed(options.seed)
+      workers = parseWorkers(options.workers)
+   } catch (err) {
+      console.error(`Error: ${err.message}`)
+      process.exit(1)
+   }
+
    var field
    var outputName
    if (options.tournament) {
@@ -57,200 +93,315 @@ async function main() {
          clearCache(tournamentId)
       }
       console.error(`Fetching tournament ${tournamentId} from Matchplay...`)
-      field = await getTournamentField(tournamentId)
    } else {
       outputName = options.field
-      field = readField(`./data/${options.field}.tsv`)
    }
-   const outputPathTsv = `${RESULTS_DIR}/results-${outputName}.tsv`
-   const outputPathJson = `${RESULTS_DIR}/results-${outputName}.json`
-
-   if (!VALID_FIELD_SIZES.includes(field.length)) {
-      console.error(`Error: Field must contain ${VALID_FIELD_SIZES.join(' or ')} players, found: ${field.length}`)
+   try {
+      field = await loadField({ tournament: options.tournament, field: options.field }, { qualifying: !!options.qualifying, strict: !!options.strictRatings })
+   } catch (err) {
+      console.error(`Error: ${err.message}`)
       process.exit(1)
    }
+   if (options.ifpaRatings && !options.tournament) {
+      console.error(`Fetching ratings by IFPA ID from Matchplay...`)
+      try {
+         field = await getRatingsByIfpaId(field, !!options.strictRatings)
+      } catch (err) {
+         console.error(`Error: ${err.message}`)
+         process.exit(1)
+      }
+   }
 
-   // Save the original input field before adding simulation fields
-   const inputField = field.map(player => ({ ...player }))
-
-   // Initialize simulation fields for each player
-   field = field.map(player => ({
-      ...player,
-      wins: new Array(5).fill(0),
-      gold: 0,
-      silver: 0,
-      bronze: 0,
-      place: 0
-   }))
-
-   var bracketTemplate = slurp(`./data/bracket-${field.length}.json`)
-   var bracket = {}
-   var consolation = []
-
-   // Extract and properly sort the match keys: w1, w2, w3, ...
+   try {
+      getModel(options.model)
+   } catch (err) {
+      console.error(`Error: ${err.message}`)
+      process.exit(1)
+   }
+   if (options.model == 'ifpa') {
+      const missing = field.filter(p => !(p.ifpaRating > 0)).map(p => p.name)
+      if (missing.length > 0) {
+         console.error(`Warning: No IFPA rating for ${missing.join(', ')}, using their Matchplay rating`)
+      }
+   }
 
-   var matches = Object.keys(bracketTemplate)
-      .filter(k => !bracketTemplate[k].final)
-      .sort((a, b) => parseInt(a.slice(1)) - parseInt(b.slice(1)))
+   if (field.length < 2) {
+      console.error(`Error: Field must contain at least 2 players, found: ${field.length}`)
+      process.exit(1)
+   }
 
-   const rounds = (matches.length == 23) ? 5 : 4
+   // With --qualifying the field lists the entrants, and each simulation seeds the bracket by
+   // playing out qualifying first.
 
-   function f(s) {
-      return field[s - 1]
+   var qualifying = null
+   if (options.qualifying) {
+      try {
+         qualifying = readQualifying(options.qualifying, field.length)
+      } catch (err) {
+         console.error(`Error: Invalid qualifying: ${err.message}`)
+         process.exit(1)
+      }
    }
+   const bracketSize = qualifying ? qualifying.qualifiers : field.length
 
-   function finalMatchKeys() {
-      if (matches.length == 23) {
-         return ['w32', 'w31']
-      } else if (matches.length == 15) {
-         return ['w16', 'w15']
-      } else {
-         console.log('Error: Expected a single-elimination bracket with a field of 16 or 24, not: ', matches.length + 1)
+   // Matches already played keep their actual winners, and matches in progress continue
+   // from their current score. Both come from the bracket file, --score, or the games
+   // completed so far in the Matchplay tournament.
+
+   var games = null
+   if (options.live) {
+      if (!options.tournament) {
+         console.error('Error: --live requires --tournament')
+         process.exit(1)
+      }
+      console.error(`Fetching completed games for tournament ${outputName} from Matchplay...`)
+      try {
+         games = await getCompletedGames(outputName)
+      } catch (err) {
+         console.error(`Error: Invalid results: ${err.message}`)
          process.exit(2)
       }
    }
-
-   function playForThird() {
-      var winner = play(consolation[0], consolation[1], 3)
-      f(winner).bronze++
-      f(winner).place += 3
-      if (winner == consolation[0]) {
-         f(consolation[1]).place += 4
-      } else {
-         f(consolation[0]).place += 4
-      }
+   var bracket
+   try {
+      bracket = prepareBracket(bracketSize, options.bracket, { games, scores: options.score, qualifying: !!qualifying })
+   } catch (err) {
+      console.error(`Error: ${err.message}`)
+      process.exit(2)
+   }
+   const { structure, completed, inProgress } = bracket
+   const live = Object.keys(completed).length + Object.keys(inProgress).length > 0
+   if (live && qualifying) {
+      console.error('Error: --qualifying cannot be combined with completed or in-progress matches')
+      process.exit(1)
+   }
+   if (live) {
+      console.error(`Completed matches: ${Object.keys(completed).length} of ${structure.matchKeys.length}, in progress: ${Object.keys(inProgress).length}`)
    }
 
-   function play(s1, s2, games) {
-      var fs1 = f(s1)
-      var fs2 = f(s2)
-      var r1 = ratingRng(fs1.rating, fs1.rd)
-      var r2 = ratingRng(fs2.rating, fs2.rd)
-      var p = odds(r1, r2)
-      var w1 = 0
-      var w2 = 0
-      const half = games / 2
-      for (var i = 0; i < games; i++) {
-         if (matchRng() < p) {
-            w1++
-         } else {
-            w2++
+   // The machines at the venue, and each player's strength on them from past Matchplay games
+   // and a file, which takes precedence.
+
+   var machines = null
+   var machineStrengths = {}
+   try {
+      if (options.machines) {
+         machines = readMachines(options.machines)
+      } else if (options.machineStrengths || options.machineHistory) {
+         throw new Error('--machine-strengths and --machine-history require --machines')
+      }
+      if (options.machineHistory) {
+         const games = []
+         for (const id of options.machineHistory) {
+            console.error(`Fetching machine games for tournament ${id} from Matchplay...`)
+            games.push(...await getMachineGames(parseInt(id, 10)))
          }
-         if ((w1 > half) || (w2 > half)) {
-            break
+         machineStrengths = machineStrengthsFromGames(games, field)
+         if (!fs.existsSync(RESULTS_DIR)) {
+            fs.mkdirSync(RESULTS_DIR, { recursive: true })
          }
+         const strengthsPath = `${RESULTS_DIR}/machine-strengths-${outputName}.tsv`
+         writeMachineStrengths(strengthsPath, machineStrengths)
+         console.error(`Machine strengths from ${games.length} games written to ${strengthsPath}`)
       }
-      return (w1 > w2) ? s1 : s2
-   }
-
-   // Run the simulation many times.
-
-   for (var ww = 0; ww < ITERATIONS; ww++) {
-      bracket = JSON.parse(JSON.stringify(bracketTemplate))
-      consolation = []
-      for (var zz = 0; zz < matches.length; zz++) {
-         var m = matches[zz]
-         var match = bracket[m]
-         var s1 = match.players[0]
-         var s2 = match.players[1]
-         var winner = play(s1, s2, 7)
-         var loser = (winner == s1) ? s2 : s1
-
-         if (match.round == (rounds - 1)) {
-            if (winner == s1) {
-               consolation.push(s2)
-            } else {
-               consolation.push(s1)
-            }
-         } else if (match.round < (rounds - 1)) {
-            // All players who do not place 1st - 4th will tie with other players who lose in the same round.
-            switch (match.round) {
-               case 1:
-                  f(loser).place += 17
-                  break
-               case 2:
-                  f(loser).place += 9
-                  break
-               case 3:
-                  f(loser).place += 5
-                  break
-            }
+      if (options.machineStrengths) {
+         const fromFile = readMachineStrengths(options.machineStrengths)
+         for (const name in fromFile) {
+            machineStrengths[name] = { ...machineStrengths[name], ...fromFile[name] }
          }
-         f(winner).wins[match.round - 1]++
-         bracket[match.feeds[0]].players[match.feeds[1]] = winner
       }
-      const [ultimate, penultimate] = finalMatchKeys()
+   } catch (err) {
+      console.error(`Error: Invalid machines: ${err.message}`)
+      process.exit(1)
+   }
+
+   const points = options.points ? readPoints(options.points) : null
+   const settings = {
+      iterations: Number(options.iterations),
+      seed,
+      model: options.model,
+      workers,
+      precision: options.precision ? parseFloat(options.precision) : null,
+      batch: Number(options.batch),
+      maxIterations: Number(options.maxIterations),
+      source: options.tournament ? `tournament:${outputName}` : `field:${outputName}`,
+      bracketFile: options.bracket || null
+   }
+
+   if (options.scenarios) {
+      await runScenarios(outputName, field, { qualifying, games, live, machines, machineStrengths, points }, settings)
+      return
+   }
+
+   // Show how the medal odds moved since the pre-tournament run.
 
-      f(bracket[ultimate].players[0]).gold++
-      f(bracket[ultimate].players[0]).place += 1
-      if (bracket[ultimate].players[0] == bracket[penultimate].players[0]) {
-         f(bracket[penultimate].players[1]).silver++
-         f(bracket[penultimate].players[1]).place += 2
+   const baseline = readBaseline(outputName, options.baseline, live, options.bracket || null, options.model)
+
+   const { results, tsv, matchupTsv, seedTsv } = await runChampionship({ field, bracket, qualifying, machines, machineStrengths, points, baseline }, settings)
+
+   for (const entry of results.liveMatches) {
+      const players = entry.players.map((name, i) => `${name} ${entry.score[i]}`).join(', ')
+      const chances = entry.winProbability.map(p => `${(p * 100).toFixed(1)}%`).join(' - ')
+      console.error(`${entry.match}: ${players}, match win ${chances}`)
+   }
+
+   if (!fs.existsSync(RESULTS_DIR)) {
+      fs.mkdirSync(RESULTS_DIR, { recursive: true })
+   }
+
+   // Determine output file paths, versioning if input, iterations or anything else the results depend on changed
+   const { tsvPath, jsonPath } = getOutputPaths(outputName, results.input, results.iterations, { bracket: options.bracket || null, model: options.model, machines: results.machines, qualifying, completed, inProgress })
+
+   fs.writeFileSync(tsvPath, tsv.join("\n") + "\n")
+   fs.writeFileSync(jsonPath, JSON.stringify(results, null, 2) + "\n")
+   const matchupPath = tsvPath.replace(/\.tsv$/, '-matchups.tsv')
+   fs.writeFileSync(matchupPath, matchupTsv.join("\n") + "\n")
+   console.error(`Results written to ${tsvPath}, ${matchupPath} and ${jsonPath}`)
+
+   if (options.snapshot) {
+      const date = options.snapshotDate || results.generatedAt.slice(0, 10)
+      const changed = snapshotChanges(live)
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+         console.error(`Warning: Snapshot date must be YYYY-MM-DD, not: ${date}`)
+      } else if (changed.length > 0) {
+         console.error(`No snapshot saved, since history only tracks runs without ${changed.join(', ')}`)
       } else {
-         f(bracket[penultimate].players[0]).silver++
-         f(bracket[penultimate].players[0]).place += 2
+         console.error(`Snapshot saved to ${saveSnapshot(outputName, results, date)}`)
       }
-      playForThird()
    }
 
-   var partialHeading = ['name', 'seed', 'rating', 'rd']
+   // Each entrant's chance of each seed.
 
-   for (var k = 0; k < (rounds - 1); k++) {
-      partialHeading.push('round ' + (k + 1))
+   if (seedTsv) {
+      const seedPath = tsvPath.replace(/\.tsv$/, '-seeds.tsv')
+      fs.writeFileSync(seedPath, seedTsv.join("\n") + "\n")
+      console.error(`Seed distribution written to ${seedPath}`)
    }
-   const heading = partialHeading.concat(['gold', 'silver', 'bronze', 'average placement'])
+}
 
-   var tsvOutput = []
-   tsvOutput.push(heading.join("\t"))
+// Run the field as it is and then each scenario in --scenarios, all with the same seed, and
+// write each player's odds under every scenario side by side.
 
-   var jsonResults = []
+async function runScenarios(outputName, field, { qualifying, games, live, machines, machineStrengths, points }, settings) {
+   var spec
+   const runs = [{ name: 'as is', field, winners: {}, changes: [] }]
+   try {
+      spec = readScenarios(options.scenarios)
+      for (const scenario of spec.scenarios) {
+         runs.push({ name: scenario.name, ...applyScenario(field, scenario, spec.alternates) })
+      }
+   } catch (err) {
+      console.error(`Error: Invalid scenarios: ${err.message}`)
+      process.exit(1)
+   }
 
-   for (var mm = 0; mm < field.length; mm++) {
-      var partial = [field[mm].name, field[mm].seed, field[mm].rating, field[mm].rd]
+   // Prepare every scenario's bracket before simulating any, so a bad scenario stops the run
+   // before the others are simulated for nothing.
 
-      var roundWinProbabilities = {}
-      for (var j = 0; j < (rounds - 1); j++) {
-         partial.push(field[mm].wins[j] / ITERATIONS)
-         roundWinProbabilities[`round${j + 1}`] = field[mm].wins[j] / ITERATIONS
+   for (const run of runs) {
+      const reseeded = run.field.some((p, i) => !field[i] || p.name !== field[i].name)
+      if (reseeded && live) {
+         console.error(`Error: Scenario ${run.name} withdraws players, which cannot be combined with completed or in-progress matches`)
+         process.exit(1)
       }
-      var fields = partial.concat([field[mm].gold / ITERATIONS, field[mm].silver / ITERATIONS, field[mm].bronze / ITERATIONS, field[mm].place / ITERATIONS])
-
-      tsvOutput.push(fields.join("\t"))
-
-      jsonResults.push({
-         name: field[mm].name,
-         seed: field[mm].seed,
-         rating: field[mm].rating,
-         ratingDeviation: field[mm].rd,
-         roundWinProbabilities,
-         goldProbability: field[mm].gold / ITERATIONS,
-         silverProbability: field[mm].silver / ITERATIONS,
-         bronzeProbability: field[mm].bronze / ITERATIONS,
-         averagePlacement: field[mm].place / ITERATIONS
-      })
+      if (qualifying && Object.keys(run.winners).length > 0) {
+         console.error(`Error: Scenario ${run.name} forces winners, which cannot be combined with --qualifying`)
+         process.exit(1)
+      }
+      run.qualifying = qualifying
+      try {
+         if (qualifying && run.field.length !== field.length) {
+            run.qualifying = readQualifying(options.qualifying, run.field.length)
+         }
+         const bracketSize = run.qualifying ? run.qualifying.qualifiers : run.field.length
+         run.bracket = prepareBracket(bracketSize, options.bracket, { games, scores: options.score, winners: run.winners, qualifying: !!run.qualifying })
+      } catch (err) {
+         console.error(`Error: Scenario ${run.name}: ${err.message}`)
+         process.exit(2)
+      }
+   }
+   for (const run of runs) {
+      console.error(`Scenario ${run.name}: ${run.changes.join(', ') || 'no changes'}`)
+      const { results } = await runChampionship({ field: run.field, bracket: run.bracket, qualifying: run.qualifying, machines, machineStrengths, points }, settings)
+      run.results = results
+   }
+
+   // One row per player, in order of their gold odds as things stand, then alternates.
+
+   const names = []
+   for (const run of runs) {
+      for (const r of run.results.results.slice().sort((a, b) => b.goldProbability - a.goldProbability)) {
+         if (!names.includes(r.name)) {
+            names.push(r.name)
+         }
+      }
+   }
+   const columns = qualifying ? ['qualify', 'average seed', 'gold', 'silver', 'bronze'] : ['seed', 'gold', 'silver', 'bronze']
+   const value = {
+      seed: r => r.seed,
+      qualify: r => r.qualifyProbability,
+      'average seed': r => r.averageSeed,
+      gold: r => r.goldProbability,
+      silver: r => r.silverProbability,
+      bronze: r => r.bronzeProbability
    }
+   const heading = ['name'].concat(runs.flatMap(run => columns.map(c => `${run.name} ${c}`)))
+   const tsv = [heading.join("\t")].concat(names.map(name => [name].concat(runs.flatMap(run => {
+      const r = run.results.results.find(q => q.name === name)
+      return columns.map(c => (r && value[c](r) !== undefined && value[c](r) !== null) ? value[c](r) : '')
+   })).join("\t")))
 
-   const jsonOutput = {
+   const json = {
       generatedAt: new Date().toISOString(),
-      iterations: ITERATIONS,
-      source: options.tournament ? `tournament:${outputName}` : `field:${outputName}`,
-      input: inputField,
-      results: jsonResults
+      iterations: runs[0].results.iterations,
+      model: settings.model,
+      source: settings.source,
+      bracket: settings.bracketFile,
+      scenarios: runs.map(run => ({
+         name: run.name,
+         changes: run.changes,
+         winners: run.winners,
+         input: run.results.input,
+         results: run.results.results
+      }))
    }
 
    if (!fs.existsSync(RESULTS_DIR)) {
       fs.mkdirSync(RESULTS_DIR, { recursive: true })
    }
+   const tsvPath = `${RESULTS_DIR}/scenarios-${outputName}.tsv`
+   const jsonPath = `${RESULTS_DIR}/scenarios-${outputName}.json`
+   fs.writeFileSync(tsvPath, tsv.join("\n") + "\n")
+   fs.writeFileSync(jsonPath, JSON.stringify(json, null, 2) + "\n")
+   console.error(`Scenarios written to ${tsvPath} and ${jsonPath}`)
+}
 
-   // Determine output file paths, versioning if input or iterations changed
-   const { tsvPath, jsonPath } = getOutputPaths(outputName, inputField, ITERATIONS)
-
-   fs.writeFileSync(tsvPath, tsvOutput.join("\n") + "\n")
-   fs.writeFileSync(jsonPath, JSON.stringify(jsonOutput, null, 2) + "\n")
-   console.error(`Results written to ${tsvPath} and ${jsonPath}`)
+// Snapshots are only saved for runs in the default context, so a test run with fewer
+// iterations, another model or bracket, or a run part way through the tournament, never
+// replaces the day's point in the history. Lists what takes this run out of it.
+
+function snapshotChanges(live) {
+   const changed = [
+      ['bracket', '--bracket'],
+      ['model', '--model'],
+      ['iterations', '--iterations'],
+      ['seed', '--seed'],
+      ['workers', '--workers'],
+      ['precision', '--precision'],
+      ['machines', '--machines'],
+      ['machineStrengths', '--machine-strengths'],
+      ['machineHistory', '--machine-history'],
+      ['qualifying', '--qualifying']
+   ].filter(([key]) => options[key] !== undefined && program.getOptionValueSource(key) !== 'default').map(([, flag]) => flag)
+   if (live) {
+      changed.push('completed or in-progress matches')
+   }
+   return changed
 }
 
-function getOutputPaths(outputName, inputField, iterations) {
+function getOutputPaths(outputName, inputField, iterations, context) {
+   // context holds the bracket file, the model, the machines, the qualifying format and the
+   // completed and in-progress matches
    const baseJsonPath = `${RESULTS_DIR}/results-${outputName}.json`
    const baseTsvPath = `${RESULTS_DIR}/results-${outputName}.tsv`
 
@@ -288,16 +439,25 @@ function getOutputPaths(outputName, inputField, iterations) {
       const newInput = JSON.stringify(inputField)
       const sameInput = existingInput === newInput
       const sameIterations = existingData.iterations === iterations
+      const existingContext = {
+         bracket: existingData.bracket || null,
+         model: existingData.model || DEFAULT_MODEL,
+         machines: existingData.machines || null,
+         qualifying: existingData.qualifying || null,
+         completed: existingData.completed || {},
+         inProgress: existingData.inProgress || {}
+      }
+      const sameContext = JSON.stringify(existingContext) === JSON.stringify(context)
 
-      if (sameInput && sameIterations) {
-         // Input and iterations unchanged, overwrite the most recent files
+      if (sameInput && sameIterations && sameContext) {
+         // Input, iterations and context unchanged, overwrite the most recent files
          const suffix = maxVersion > 0 ? `-${maxVersion}` : ''
          return {
             tsvPath: `${RESULTS_DIR}/results-${outputName}${suffix}.tsv`,
             jsonPath: mostRecentPath
          }
       } else {
-         // Input or iterations changed, create new version
+         // Input, iterations or context changed, create new version
          const newVersion = maxVersion + 1
          return {
             tsvPath: `${RESULTS_DIR}/results-${outputName}-${newVersion}.tsv`,
@@ -310,43 +470,68 @@ function getOutputPaths(outputName, inputField, iterations) {
    }
 }
 
-// Read player data including name, seed, rating, and rd.
+// Read the results to compare against: the given file, or when matches have been played,
+// the most recent results for the same output name, bracket and model from before any match was
+// played.
 
-function readField(filename) {
+function readBaseline(outputName, filename, live, bracketFile, model) {
+   var path = filename
+   if (!path) {
+      if (!live || !fs.existsSync(RESULTS_DIR)) {
+         return null
+      }
+      const pattern = new RegExp(`^results-${outputName}(-(\\d+))?\\.json$`)
+      var latest = -1
+      for (const file of fs.readdirSync(RESULTS_DIR)) {
+         const match = file.match(pattern)
+         if (!match) {
+            continue
+         }
+         const version = match[2] ? parseInt(match[2], 10) : 0
+         try {
+            const data = JSON.parse(fs.readFileSync(`${RESULTS_DIR}/${file}`, 'utf8'))
+            const played = Object.keys(data.completed || {}).length + Object.keys(data.inProgress || {}).length
+            const same = (data.bracket || null) === bracketFile && (data.model || DEFAULT_MODEL) === model
+            if (version > latest && played == 0 && same) {
+               latest = version
+               path = `${RESULTS_DIR}/${file}`
+            }
+         } catch (error) {
+            console.error(`Warning: Could not read ${RESULTS_DIR}/${file}`)
+         }
+      }
+      if (!path) {
+         console.error(`Warning: No pre-tournament results found for ${outputName}`)
+         return null
+      }
+   }
    try {
-      const data = fs.readFileSync(filename, 'utf8')
-      const records = parse(data, {
-         columns: true,
-         delimiter: '\t',
-         trim: true
-      })
-
-      return records.map(record => ({
-         name: record.name,
-         rating: parseFloat(record.rating),
-         rd: parseFloat(record.rd),
-         seed: parseInt(record.seed, 10)
-      }))
-   } catch (err) {
-      console.error(err)
-      return []
+      const data = JSON.parse(fs.readFileSync(path, 'utf8'))
+      console.error(`Comparing with ${path}`)
+      return { path, results: data.results }
+   } catch (error) {
+      console.error(`Error: Could not read baseline ${path}: ${error.message}`)
+      process.exit(1)
    }
 }
 
-// Use the ELO formula for computing win percentage from ELO rating.
-
-function odds(r1, r2) {
-   return 1.0 / (1 + 10 ** (-(r1 - r2) / 400))
-}
+// Read points by place, e.g. WPPR or state championship points, from a TSV with place
+// and points columns.
 
-function slurp(filename) {
+function readPoints(filename) {
    try {
-     // Read the file content into the 'data' string all at once
-     const data = fs.readFileSync(filename, 'utf8');
-
-     return JSON.parse(data)
+      const records = parse(fs.readFileSync(filename, 'utf8'), {
+         columns: true,
+         delimiter: '\t',
+         trim: true
+      })
+      const table = {}
+      for (const record of records) {
+         table[parseInt(record.place, 10)] = parseFloat(record.points)
+      }
+      return table
    } catch (err) {
-     console.error(err);
+      console.error(`Error: Could not read points ${filename}: ${err.message}`)
+      process.exit(1)
    }
-   return ''
 }
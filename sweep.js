@@ -0,0 +1,264 @@
+/*
+   Sensitivity analysis: reruns the simulation over a grid of inputs to show how much each
+   player's gold odds depend on them. It varies the Elo scale (400 in the Elo formula), scales
+   every rd up or down, and nudges each player's rating by -N and +N points in turn. Every run
+   uses the same seed, but the random draws fall out of step as soon as one game goes the other
+   way, so each change carries simulation noise: its standard error is reported with it.
+
+   The tornado table lists each input with the largest swing in any player's gold odds between
+   its low and high values, or between the base run and its only value, most sensitive first,
+   or with --player the swing in that player's odds. Swings within the noise (less than two
+   standard errors) are flagged, and without --player only count when no player's swing is
+   clear of the noise.
+
+   usage: node sweep.js --field open-field
+          node sweep.js --field open-field --scales 350,450 --rd-factors 0.5,2 --nudge 50
+          node sweep.js --field open-field --player "Joshua Francis"
+   help: node sweep.js --help
+*/
+
+require('dotenv').config()
+const fs = require('fs')
+const { program } = require('commander')
+const { loadField, prepareBracket, runChampionship } = require('./championship')
+const { DEFAULT_MODEL, MODEL_NAMES } = require('./models')
+const { parseSeed, parseWorkers } = require('./simulate')
+
+const RESULTS_DIR = './results'
+const ELO_SCALE = 400
+const BAR_WIDTH = 20
+
+program
+   .option('--field <name>', 'field name (e.g. open-field)', 'open-field')
+   .option('--tournament <id>', 'Matchplay tournament ID (overrides --field)')
+   .option('--bracket <file>', 'bracket JSON file (default: data/bracket-N.json, generated if missing)')
+   .option('--scales <list>', `comma separated Elo scales to try in place of ${ELO_SCALE}`, '300,500')
+   .option('--rd-factors <list>', 'comma separated factors to scale every rd by', '0.5,1.5')
+   .option('--nudge <points>', 'rating points to move each player down and up by', '25')
+   .option('--player <name>', 'rank the inputs by their effect on this player (default: any player)')
+   .option('--iterations <number>', 'simulations per run', '100000')
+   .option('--seed <number>', 'random seed', '42')
+   .option('--workers <number>', 'worker threads to spread simulations over', '1')
+   .option('--model <name>', `win probability model (${MODEL_NAMES.join(', ')})`, DEFAULT_MODEL)
+   .parse()
+
+const options = program.opts()
+
+main()
+
+async function main() {
+   if (!MODEL_NAMES.includes(options.model)) {
+      console.error(`Error: Unknown model: ${options.model} (choose from ${MODEL_NAMES.join(', ')})`)
+      process.exit(1)
+   }
+   var seed
+   var workers
+   try {
+      seed = parseSeed(options.seed)
+      workers = parseWorkers(options.workers)
+   } catch (err) {
+      console.error(`Error: ${err.message}`)
+      process.exit(1)
+   }
+   const scales = numbers(options.scales, 'Elo scale', v => v > 0)
+   const rdFactors = numbers(options.rdFactors, 'rd factor', v => v >= 0)
+   const nudges = numbers(options.nudge, 'nudge', v => v > 0)
+   if (nudges.length !== 1) {
+      console.error(`Error: --nudge takes one number of points, not: ${options.nudge}`)
+      process.exit(1)
+   }
+   const nudge = nudges[0]
+
+   const outputName = options.tournament || options.field
+   var field
+   try {
+      field = await loadField({ tournament: options.tournament, field: options.field })
+   } catch (err) {
+      console.error(`Error: ${err.message}`)
+      process.exit(1)
+   }
+   if (options.player && !field.some(p => p.name === options.player)) {
+      console.error(`Error: ${options.player} is not in the field`)
+      process.exit(1)
+   }
+
+   var bracket
+   try {
+      bracket = prepareBracket(field.length, options.bracket || null)
+   } catch (err) {
+      console.error(`Error: ${err.message}`)
+      process.exit(2)
+   }
+
+   // Every input and the values it takes, each value a change to the field. The low and high
+   // values of an input are its first and last.
+
+   const inputs = [
+      { input: 'elo scale', base: ELO_SCALE, values: scales.map(scale => ({ value: scale, field: withScale(field, scale) })) },
+      { input: 'rd factor', base: 1, values: rdFactors.map(factor => ({ value: factor, field: field.map(p => ({ ...p, rd: p.rd * factor })) })) }
+   ].concat(field.map((player, i) => ({
+      input: `${player.name} rating`,
+      base: 0,
+      values: [-nudge, nudge].map(offset => ({ value: offset, field: withNudge(field, i, offset) }))
+   })))
+   for (const input of inputs) {
+      input.values.sort((a, b) => a.value - b.value)
+   }
+
+   const settings = {
+      iterations: parseInt(options.iterations, 10),
+      seed,
+      model: options.model,
+      workers,
+      source: options.tournament ? `tournament:${options.tournament}` : `field:${options.field}`,
+      bracketFile: options.bracket || null
+   }
+   const runs = 1 + inputs.reduce((total, input) => total + input.values.length, 0)
+   console.error(`Simulating ${runs} runs of ${settings.iterations}...`)
+   const base = await goldOdds(field, bracket, settings)
+   for (const input of inputs) {
+      for (const value of input.values) {
+         const gold = await goldOdds(value.field, bracket, settings)
+         value.gold = gold
+         value.change = gold.map((g, i) => g - base[i])
+         value.standardError = gold.map((g, i) => differenceError(g, base[i], settings.iterations))
+      }
+   }
+
+   const tornado = inputs.map(input => swing(input, field, base, settings.iterations, options.player || null))
+      .sort((a, b) => b.swing - a.swing)
+   printTornado(tornado, options.player)
+   writeSweep(outputName, field, base, inputs, tornado, { ...settings, nudge })
+}
+
+function numbers(list, label, valid) {
+   const values = `${list}`.split(',').map(v => parseFloat(v))
+   if (values.some(v => isNaN(v) || !valid(v))) {
+      console.error(`Error: Invalid ${label}: ${list}`)
+      process.exit(1)
+   }
+   return values
+}
+
+// An Elo scale of s in place of 400 is the same as stretching every rating's distance from
+// 1500, and every rd, by 400 / s, which works for every model without changing it.
+
+function withScale(field, scale) {
+   const k = ELO_SCALE / scale
+   return field.map(p => ({
+      ...p,
+      rating: 1500 + (p.rating - 1500) * k,
+      rd: p.rd * k,
+      ...(p.ifpaRating ? { ifpaRating: 1500 + (p.ifpaRating - 1500) * k } : {})
+   }))
+}
+
+function withNudge(field, i, offset) {
+   return field.map((p, j) => (j !== i) ? p : {
+      ...p,
+      rating: p.rating + offset,
+      ...(p.ifpaRating ? { ifpaRating: p.ifpaRating + offset } : {})
+   })
+}
+
+async function goldOdds(field, bracket, settings) {
+   const { results } = await runChampionship({ field, bracket }, settings)
+   return results.results.map(r => r.goldProbability)
+}
+
+// The standard error of the difference between two gold probabilities from separate runs of
+// n simulations each.
+
+function differenceError(p1, p2, n) {
+   return Math.sqrt((p1 * (1 - p1) + p2 * (1 - p2)) / n)
+}
+
+// The swing of an input: how far its low and high values move the chosen player's gold odds
+// apart, or, with only one value, how far that value moves them from the base run. Without a
+// player it is the largest swing in anyone's odds that is clear of the noise, or the largest
+// swing when none is.
+
+function swing(input, field, base, iterations, player) {
+   const baseValue = { value: input.base, gold: base, change: base.map(() => 0) }
+   const ends = (input.values.length > 1)
+      ? [input.values[0], input.values[input.values.length - 1]]
+      : [baseValue, input.values[0]].sort((a, b) => a.value - b.value)
+   const [low, high] = ends
+   const candidates = player ? [field.findIndex(p => p.name === player)] : field.map((_, i) => i)
+   const swings = candidates.map(i => {
+      const size = Math.abs(high.change[i] - low.change[i])
+      const standardError = differenceError(high.gold[i], low.gold[i], iterations)
+      return { i, size, standardError, noise: size <= 2 * standardError }
+   })
+   const clear = swings.filter(s => !s.noise)
+   const most = (clear.length > 0 ? clear : swings).reduce((a, b) => (b.size > a.size) ? b : a)
+   return {
+      input: input.input,
+      low: low.value,
+      high: high.value,
+      player: field[most.i].name,
+      lowChange: low.change[most.i],
+      highChange: high.change[most.i],
+      swing: most.size,
+      standardError: most.standardError,
+      noise: most.noise
+   }
+}
+
+function signed(p) {
+   return `${(p >= 0) ? '+' : ''}${(p * 100).toFixed(2)}`
+}
+
+// One row per input, most sensitive first, with a bar for the low and the high value's change
+// either side of the centre.
+
+function printTornado(tornado, player) {
+   const largest = Math.max(...tornado.map(t => Math.max(Math.abs(t.lowChange), Math.abs(t.highChange))), 1e-9)
+   const bar = change => {
+      const length = Math.round(Math.abs(change) / largest * BAR_WIDTH)
+      return (change < 0) ? { left: '#'.repeat(length), right: '' } : { left: '', right: '#'.repeat(length) }
+   }
+   const width = Math.max(...tornado.map(t => t.input.length), 5)
+   const playerWidth = Math.max(...tornado.map(t => t.player.length), 6)
+   console.log(['input'.padEnd(width), 'low'.padStart(6), 'high'.padStart(6), 'player'.padEnd(playerWidth), 'low %'.padStart(7), 'high %'.padStart(7), 'se %'.padStart(6)].join('  '))
+   for (const t of tornado) {
+      const low = bar(t.lowChange)
+      const high = bar(t.highChange)
+      const left = (low.left.length >= high.left.length ? low.left : high.left).padStart(BAR_WIDTH)
+      const right = (low.right.length >= high.right.length ? low.right : high.right).padEnd(BAR_WIDTH)
+      console.log([t.input.padEnd(width), `${t.low}`.padStart(6), `${t.high}`.padStart(6), t.player.padEnd(playerWidth),
+         signed(t.lowChange).padStart(7), signed(t.highChange).padStart(7), (t.standardError * 100).toFixed(2).padStart(6),
+         `${left}|${right}`, t.noise ? 'noise' : ''].join('  ').trimEnd())
+   }
+   console.log(`\nChange in ${player ? `${player}'s` : 'the most affected player\'s'} gold odds, in percentage points, at each input's low and high value,`)
+   console.log('and the standard error of the swing between them. Swings under two standard errors are marked as noise.')
+}
+
+function writeSweep(outputName, field, base, inputs, tornado, settings) {
+   if (!fs.existsSync(RESULTS_DIR)) {
+      fs.mkdirSync(RESULTS_DIR, { recursive: true })
+   }
+   const columns = [{ input: 'base', value: '', gold: base }]
+      .concat(inputs.flatMap(input => input.values.map(v => ({ input: input.input, value: v.value, gold: v.gold }))))
+   const goldTsv = [['input', 'value'].concat(field.map(p => p.name)).join('\t')]
+      .concat(columns.map(c => [c.input, c.value].concat(c.gold).join('\t')))
+   const tornadoTsv = [['input', 'low', 'high', 'player', 'low change', 'high change', 'swing', 'standard error', 'noise'].join('\t')]
+      .concat(tornado.map(t => [t.input, t.low, t.high, t.player, t.lowChange, t.highChange, t.swing, t.standardError, t.noise].join('\t')))
+
+   const prefix = `${RESULTS_DIR}/sweep-${outputName}`
+   fs.writeFileSync(`${prefix}.tsv`, goldTsv.join('\n') + '\n')
+   fs.writeFileSync(`${prefix}-tornado.tsv`, tornadoTsv.join('\n') + '\n')
+   fs.writeFileSync(`${prefix}.json`, JSON.stringify({
+      generatedAt: new Date().toISOString(),
+      ...settings,
+      player: options.player || null,
+      players: field.map((p, i) => ({ name: p.name, seed: p.seed, rating: p.rating, rd: p.rd, goldProbability: base[i] })),
+      inputs: inputs.map(input => ({
+         input: input.input,
+         base: input.base,
+         values: input.values.map(v => ({ value: v.value, goldProbabilities: v.gold, changes: v.change, standardErrors: v.standardError }))
+      })),
+      tornado
+   }, null, 2) + '\n')
+   console.error(`Sweep written to ${prefix}.tsv, ${prefix}-tornado.tsv and ${prefix}.json`)
+}
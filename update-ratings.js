@@ -0,0 +1,155 @@
+/*
+   Refreshes the ratings in a field TSV from Matchplay.Events.
+
+   Each player is found by name with a Matchplay user search, unless the TSV already has their
+   matchplay_id. Names that match no user, or more than one, come from a mapping file or, with
+   --interactive, a prompt. The TSV is rewritten in place with the new rating and rd and each
+   player's matchplay_id and ifpa_id, so later refreshes don't search again. matchplay-api.js
+   keeps Matchplay calls 600 ms apart.
+
+   usage: node update-ratings.js --field open-field
+   help: node update-ratings.js --help
+*/
+
+require('dotenv').config()
+const fs = require('fs')
+const readline = require('readline/promises')
+const { parse } = require('csv-parse/sync')
+const { program } = require('commander')
+const { searchUsers, getUserRating } = require('./matchplay-api')
+
+program
+   .option('--field <name>', 'field name (e.g. open-field)', 'open-field')
+   .option('--mapping <file>', 'TSV of name and matchplay_id for names the search cannot settle')
+   .option('--interactive', 'ask which user is meant when a name is ambiguous')
+   .option('--dry-run', 'show the changes without rewriting the field')
+   .parse()
+
+const options = program.opts()
+
+main()
+
+async function main() {
+   const filename = `./data/${options.field}.tsv`
+   var text
+   try {
+      text = fs.readFileSync(filename, 'utf8')
+   } catch (err) {
+      console.error(`Error: Could not read ${filename}: ${err.message}`)
+      process.exit(1)
+   }
+   const eol = text.includes('\r\n') ? '\r\n' : '\n'
+   const records = parse(text, { columns: true, delimiter: '\t', trim: true })
+   const columns = Object.keys(records[0] || {})
+   for (const column of ['matchplay_id', 'ifpa_id']) {
+      if (!columns.includes(column)) {
+         columns.push(column)
+      }
+   }
+
+   const mapping = options.mapping ? readMapping(options.mapping) : {}
+   if (options.interactive && !process.stdin.isTTY) {
+      console.error('Error: --interactive needs a terminal')
+      process.exit(1)
+   }
+   const prompt = options.interactive ? readline.createInterface({ input: process.stdin, output: process.stderr }) : null
+
+   const changes = []
+   for (const record of records) {
+      try {
+         const userId = record.matchplay_id || mapping[record.name] || await findUser(record.name, prompt)
+         if (!userId) {
+            console.error(`Warning: Could not find ${record.name} on Matchplay, keeping their rating`)
+            continue
+         }
+         const data = await getUserRating(userId)
+         if (!data.rating) {
+            console.error(`Warning: ${record.name} has no Matchplay rating, keeping their rating`)
+            continue
+         }
+         const before = { rating: parseFloat(record.rating), rd: parseFloat(record.rd) }
+         record.rating = data.rating.rating.toFixed(1)
+         record.rd = data.rating.rd.toFixed(1)
+         record.matchplay_id = `${userId}`
+         if (data.user && data.user.ifpaId) {
+            record.ifpa_id = `${data.user.ifpaId}`
+         }
+         if ('ifpa_rating' in record && data.ifpa && data.ifpa.rating) {
+            record.ifpa_rating = data.ifpa.rating.toFixed(1)
+         }
+         changes.push({ name: record.name, before, after: { rating: parseFloat(record.rating), rd: parseFloat(record.rd) } })
+      } catch (err) {
+         console.error(`Warning: Could not update ${record.name}: ${err.message}`)
+      }
+   }
+   if (prompt) {
+      prompt.close()
+   }
+
+   printChanges(changes, records.length)
+   if (options.dryRun) {
+      console.error('Dry run, not rewriting the field')
+      return
+   }
+   const lines = [columns.join('\t')].concat(records.map(record => columns.map(c => record[c] || '').join('\t')))
+   fs.writeFileSync(filename, lines.join(eol) + eol)
+   console.error(`Updated ${filename}`)
+}
+
+// Find a player's Matchplay user ID from their name: the only user with exactly that name, or
+// else the user picked at the prompt.
+
+async function findUser(name, prompt) {
+   const results = await searchUsers(name)
+   const users = results.users || results.data || []
+   const exact = users.filter(user => user.name.trim().toLowerCase() === name.trim().toLowerCase())
+   if (exact.length === 1) {
+      return exact[0].userId
+   }
+   if (!prompt || users.length === 0) {
+      const found = (exact.length > 1) ? `${exact.length} users named` : 'no user named exactly'
+      console.error(`Warning: Found ${found} ${name}, add them to a --mapping file`)
+      return null
+   }
+   console.error(`Matchplay users for ${name}:`)
+   users.forEach((user, i) => {
+      console.error(`  ${i + 1}. ${user.name} (user ${user.userId}${user.ifpaId ? `, IFPA ${user.ifpaId}` : ''})`)
+   })
+   const answer = await prompt.question('Number, or Enter to skip: ')
+   const choice = users[parseInt(answer, 10) - 1]
+   return choice ? choice.userId : null
+}
+
+// Show each player's rating change, biggest first.
+
+function printChanges(changes, total) {
+   const sorted = changes.slice().sort((a, b) => Math.abs(b.after.rating - b.before.rating) - Math.abs(a.after.rating - a.before.rating))
+   const signed = x => `${(x >= 0) ? '+' : ''}${x.toFixed(1)}`
+   console.error(['name', 'rating', 'change', 'rd', 'change'].join('\t'))
+   for (const c of sorted) {
+      console.error([
+         c.name,
+         `${c.before.rating} -> ${c.after.rating}`,
+         signed(c.after.rating - (c.before.rating || 0)),
+         `${c.before.rd} -> ${c.after.rd}`,
+         signed(c.after.rd - (c.before.rd || 0))
+      ].join('\t'))
+   }
+   console.error(`Updated ${changes.length} of ${total} players`)
+}
+
+// Read Matchplay user IDs by name, from a TSV with name and matchplay_id columns.
+
+function readMapping(filename) {
+   try {
+      const records = parse(fs.readFileSync(filename, 'utf8'), {
+         columns: true,
+         delimiter: '\t',
+         trim: true
+      })
+      return Object.fromEntries(records.map(record => [record.name, record.matchplay_id]))
+   } catch (err) {
+      console.error(`Error: Could not read mapping ${filename}: ${err.message}`)
+      process.exit(1)
+   }
+}
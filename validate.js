@@ -0,0 +1,141 @@
+/*
+   Checks field TSVs and bracket JSON files, listing every problem with its line or match
+   rather than failing inside a run: missing columns, blank or duplicate names, ratings and rds
+   that are not numbers, duplicate or missing seeds, seeds that don't match the bracket, and
+   bracket graph errors such as feeds to unknown matches, slots filled twice or never filled,
+   and a missing final. state.js runs the same checks before every simulation.
+
+   With no arguments every field and bracket in ./data is checked, each field against the
+   bracket for its size.
+
+   usage: node validate.js
+          node validate.js --field open-field --bracket data/bracket-24.json
+          node validate.js data/women-field.tsv data/bracket-16-groups.json
+   help: node validate.js --help
+*/
+
+const fs = require('fs')
+const path = require('path')
+const { program } = require('commander')
+const { analyzeBracket, checkBracket, matchProgress, parseJson } = require('./bracket')
+const { checkFieldFile, prepareBracket, readField } = require('./championship')
+const { readQualifying } = require('./qualifying')
+
+const DATA_DIR = './data'
+
+program
+   .argument('[files...]', 'field TSVs and bracket JSON files to check')
+   .option('--field <name>', 'field name (e.g. open-field), checked against the bracket')
+   .option('--bracket <file>', 'bracket JSON file (default: data/bracket-N.json)')
+   .option('--qualifying <file>', 'qualifying JSON file, when qualifying seeds the field')
+   .parse()
+
+const options = program.opts()
+
+main()
+
+function main() {
+   // Each check is a field, a bracket, or a field with the bracket it is played on.
+
+   const checks = []
+   const files = program.args
+   if (options.field) {
+      checks.push({ field: path.join(DATA_DIR, `${options.field}.tsv`), bracket: options.bracket || null })
+   } else if (options.bracket) {
+      checks.push({ bracket: options.bracket })
+   }
+   for (const file of files) {
+      checks.push(file.endsWith('.json') ? { bracket: file } : { field: file })
+   }
+   if (checks.length === 0) {
+      const data = fs.readdirSync(DATA_DIR).sort()
+      for (const file of data.filter(f => f.endsWith('.tsv'))) {
+         checks.push({ field: path.join(DATA_DIR, file), bracket: null })
+      }
+      for (const file of data.filter(f => /^bracket-.*\.json$/.test(f))) {
+         checks.push({ bracket: path.join(DATA_DIR, file) })
+      }
+   }
+
+   var failed = 0
+   for (const check of checks) {
+      const problems = ('field' in check) ? checkField(check) : checkBracketFile(check.bracket)
+      const name = check.field || check.bracket
+      if (problems.length === 0) {
+         console.log(`${name}: ok`)
+      } else {
+         failed++
+         console.log(`${name}: ${problems.length} problem${problems.length === 1 ? '' : 's'}`)
+         problems.forEach(problem => console.log(`   ${problem}`))
+      }
+   }
+   if (failed > 0) {
+      console.error(`Error: ${failed} of ${checks.length} checked with problems`)
+      process.exit(1)
+   }
+}
+
+function checkBracketFile(filename) {
+   var bracket
+   try {
+      bracket = parseJson(fs.readFileSync(filename, 'utf8'), filename)
+   } catch (err) {
+      return [err.message]
+   }
+   const problems = checkBracket(bracket)
+   if (problems.length > 0) {
+      return problems
+   }
+
+   // The graph is sound, so check what the simulation derives from it, such as formats and
+   // recorded results.
+
+   try {
+      matchProgress(bracket, analyzeBracket(bracket))
+   } catch (err) {
+      return [err.message]
+   }
+   return []
+}
+
+// Check a field on its own, then against its bracket: the one given, or data/bracket-N.json
+// when there is one.
+
+function checkField({ field, bracket }) {
+   var qualifying = null
+   const problems = checkFieldFile(field, { qualifying: !!options.qualifying })
+   if (problems.length > 0) {
+      return problems
+   }
+   const entrants = readField(field).length
+   if (options.qualifying) {
+      try {
+         qualifying = readQualifying(options.qualifying, entrants)
+      } catch (err) {
+         return [`Invalid qualifying: ${err.message}`]
+      }
+   }
+   const size = qualifying ? qualifying.qualifiers : entrants
+   const bracketFile = bracket || path.join(DATA_DIR, `bracket-${size}.json`)
+   if (!bracket && !fs.existsSync(bracketFile)) {
+      return []
+   }
+   const bracketProblems = checkBracketFile(bracketFile)
+   if (bracketProblems.length > 0) {
+      return bracketProblems.map(problem => `${bracketFile}: ${problem}`)
+   }
+
+   // The field against the players its bracket seeds, and qualifying against the bracket.
+
+   const fieldSize = analyzeBracket(parseJson(fs.readFileSync(bracketFile, 'utf8'), bracketFile)).fieldSize
+   const sizeProblems = checkFieldFile(field, { qualifying: !!qualifying, fieldSize })
+   if (sizeProblems.length > 0 || !qualifying) {
+      return sizeProblems
+   }
+   try {
+      prepareBracket(size, bracketFile, { qualifying: true })
+   } catch (err) {
+      return [`${bracketFile}: ${err.message}`]
+   }
+   return []
+}